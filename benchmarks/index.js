@@ -0,0 +1,236 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+/**
+ * Render performance benchmarks, run in jsdom against the build ('dist').
+ *
+ *   npm run benchmark -- [--depth 5] [--breadth 3] [--iterations 20]
+ *
+ * Each case renders a deep tree of View and Text elements, updates it, and
+ * unmounts it. The trees are deterministic so results can be compared
+ * between builds. The dependencies ('jsdom', 'react', and 'react-dom') are
+ * development dependencies of the package, and the benchmarks are not
+ * published.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+if (!fs.existsSync(path.join(__dirname, '../dist/exports'))) {
+  console.error(
+    "The benchmarks run against the build, but 'dist' does not exist."
+  );
+  process.exit(1);
+}
+
+const { JSDOM } = require('jsdom');
+
+const args = process.argv.slice(2);
+function getArg(name, defaultValue) {
+  const index = args.indexOf(`--${name}`);
+  return index > -1 ? Number(args[index + 1]) : defaultValue;
+}
+
+const config = {
+  breadth: getArg('breadth', 3),
+  depth: getArg('depth', 5),
+  iterations: getArg('iterations', 20),
+  warmup: getArg('warmup', 3)
+};
+
+// The DOM must exist before the library is loaded
+const dom = new JSDOM(
+  '<!doctype html><html><head></head><body></body></html>',
+  {
+    pretendToBeVisual: true
+  }
+);
+global.window = dom.window;
+global.document = dom.window.document;
+global.navigator = dom.window.navigator;
+global.requestAnimationFrame = dom.window.requestAnimationFrame;
+global.cancelAnimationFrame = dom.window.cancelAnimationFrame;
+
+const React = require('react');
+const ReactDOM = require('react-dom');
+const { StyleSheet } = require('../dist/exports/style-sheet');
+const { Text } = require('../dist/exports/text');
+const { View } = require('../dist/exports/view');
+
+const h = React.createElement;
+
+const styles = StyleSheet.create({
+  box: {
+    alignItems: 'center',
+    borderColor: '#ddd',
+    borderWidth: 1,
+    flexDirection: 'row',
+    paddingHorizontal: 4,
+    paddingVertical: 2
+  },
+  boxAlt: {
+    backgroundColor: '#eee',
+    flexDirection: 'column'
+  },
+  boxStart: {
+    marginStart: 2
+  },
+  text: {
+    color: '#333',
+    fontSize: 14,
+    lineHeight: 20
+  },
+  textAlt: {
+    fontWeight: 'bold'
+  }
+});
+
+/**
+ * The style of an element for a case. 'index' identifies the element and
+ * 'pass' changes with each update. The optional 'options' of a case are
+ * passed to 'StyleSheet.configure'.
+ */
+const cases = {
+  // Registered styles only
+  static: {
+    box: () => styles.box,
+    text: () => styles.text
+  },
+  // Arrays of registered styles
+  array: {
+    box: (index, pass) => [
+      styles.box,
+      (index + pass) % 2 === 0 && styles.boxAlt,
+      styles.boxStart
+    ],
+    text: (index, pass) => [
+      styles.text,
+      (index + pass) % 3 === 0 && styles.textAlt
+    ]
+  },
+  // Registered styles combined with objects that change with each update
+  dynamic: {
+    box: (index, pass) => [
+      styles.box,
+      {
+        opacity: ((index + pass) % 10) / 10,
+        width: 100 + ((index + pass) % 50)
+      }
+    ],
+    text: (index, pass) => [styles.text, { marginTop: (index + pass) % 8 }]
+  }
+};
+
+// Dynamic values bound to CSS custom properties
+cases.variables = {
+  ...cases.dynamic,
+  options: { dynamicProperties: ['marginTop', 'opacity', 'width'] }
+};
+
+function createTree(getStyle, depth, pass, counter) {
+  const index = counter.value++;
+  if (depth === 0) {
+    return h(
+      Text,
+      { key: index, style: getStyle.text(index, pass) },
+      `Text ${index}`
+    );
+  }
+  const children = [];
+  for (let i = 0; i < config.breadth; i += 1) {
+    children.push(createTree(getStyle, depth - 1, pass, counter));
+  }
+  return h(View, { key: index, style: getStyle.box(index, pass) }, children);
+}
+
+function render(getStyle, container, pass) {
+  ReactDOM.render(
+    createTree(getStyle, config.depth, pass, { value: 0 }),
+    container
+  );
+}
+
+function measure(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function summarize(samples) {
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const mean = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+  const variance =
+    samples.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) /
+    samples.length;
+  return {
+    mean: mean.toFixed(2),
+    median: sorted[Math.floor(sorted.length / 2)].toFixed(2),
+    stdDev: Math.sqrt(variance).toFixed(2)
+  };
+}
+
+function run(name, getStyle) {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const samples = { mount: [], update: [], unmount: [] };
+  if (getStyle.options != null) {
+    StyleSheet.configure(getStyle.options);
+  }
+
+  for (let i = 0; i < config.warmup + config.iterations; i += 1) {
+    if (i === config.warmup) {
+      // Only count the work of measured iterations
+      StyleSheet.configure({ instrumentation: true });
+    }
+    const mount = measure(() => render(getStyle, container, 0));
+    const update = measure(() => render(getStyle, container, i + 1));
+    const unmount = measure(() => ReactDOM.unmountComponentAtNode(container));
+    if (i >= config.warmup) {
+      samples.mount.push(mount);
+      samples.update.push(update);
+      samples.unmount.push(unmount);
+    }
+  }
+
+  const metrics = StyleSheet.getMetrics();
+  StyleSheet.configure({ dynamicProperties: [], instrumentation: false });
+  document.body.removeChild(container);
+
+  console.log(`\n${name}`);
+  console.table({
+    mount: summarize(samples.mount),
+    update: summarize(samples.update),
+    unmount: summarize(samples.unmount)
+  });
+  if (metrics != null) {
+    const { rulesInserted, ...counters } = metrics;
+    counters.compileTime = Number(counters.compileTime.toFixed(2));
+    counters.rulesInserted = Object.keys(rulesInserted).reduce(
+      (sum, group) => sum + rulesInserted[group],
+      0
+    );
+    console.table(counters);
+  }
+}
+
+let elements = 0;
+for (let d = 0; d <= config.depth; d += 1) {
+  elements += Math.pow(config.breadth, d);
+}
+console.log(
+  `NODE_ENV=${String(process.env.NODE_ENV)}, ${elements} elements, ` +
+    `${config.iterations} iterations (ms)`
+);
+
+Object.keys(cases).forEach((name) => {
+  run(name, cases[name]);
+});
+
+// The scheduler of React keeps a message port open
+process.exit(0);
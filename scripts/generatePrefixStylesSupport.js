@@ -0,0 +1,211 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+/**
+ * Generate 'src/modules/prefixStylesSupport.js', the last version of each
+ * browser that requires a vendor prefix, from 'caniuse-lite'.
+ *
+ *   npm run generate-prefixes
+ *
+ * Features are those of the property map of the 'inline-style-prefixer'
+ * generator. Plugins use the versions of its plugin map, except for
+ * 'backgroundClip', which uses 'caniuse-lite'. Update 'caniuse-lite' and run
+ * the script again to drop the prefixes that are no longer required.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const prettier = require('prettier');
+const lite = require('caniuse-lite');
+const propertyMap = require('inline-style-prefixer/lib/generator/maps/propertyMap')
+  .default;
+const pluginMap = require('inline-style-prefixer/lib/generator/maps/pluginMap')
+  .default;
+
+const outputFile = path.join(
+  __dirname,
+  '../src/modules/prefixStylesSupport.js'
+);
+
+const browsers = [
+  'chrome',
+  'safari',
+  'firefox',
+  'opera',
+  'ie',
+  'edge',
+  'ios_saf',
+  'android',
+  'and_chr',
+  'and_ff',
+  'and_uc',
+  'ie_mob',
+  'kaios',
+  'op_mini',
+  'op_mob',
+  'samsung'
+];
+
+// The plugins of the default prefixes (see 'prefixStylesData')
+const plugins = [
+  'backgroundClip',
+  'crossFade',
+  'cursor',
+  'filter',
+  'flexboxOld',
+  'gradient',
+  'imageSet',
+  'logical',
+  'position',
+  'sizing',
+  'transition'
+];
+
+// Browsers that never use the '-webkit-' prefix
+const nonWebkitBrowsers = ['and_ff', 'firefox', 'ie', 'ie_mob', 'kaios'];
+
+const maximumVersion = 'maximumVersion';
+
+/**
+ * The last version of each browser that requires a prefix for a feature of
+ * 'caniuse-lite', or 'maximumVersion' if the latest version still does.
+ */
+function getLastVersions(feature) {
+  const data = lite.feature(
+    require(`caniuse-lite/data/features/${feature}.js`)
+  );
+  const lastVersions = {};
+  browsers.forEach((browser) => {
+    const stats = data.stats[browser];
+    if (stats == null) {
+      return;
+    }
+    let lastVersion = null;
+    let latestVersion = -1;
+    Object.keys(stats).forEach((range) => {
+      // e.g., '15.2-15.3' => 15.3
+      const version =
+        range === 'all' ? Infinity : parseFloat(range.split('-').pop());
+      if (version > latestVersion) {
+        latestVersion = version;
+      }
+      if (
+        /\bx\b/.test(stats[range]) &&
+        (lastVersion == null || version > lastVersion)
+      ) {
+        lastVersion = version;
+      }
+    });
+    if (lastVersion != null) {
+      lastVersions[browser] =
+        lastVersion === latestVersion ? maximumVersion : lastVersion;
+    }
+  });
+  return lastVersions;
+}
+
+function getWebkitLastVersions(feature) {
+  const lastVersions = getLastVersions(feature);
+  nonWebkitBrowsers.forEach((browser) => {
+    delete lastVersions[browser];
+  });
+  return lastVersions;
+}
+
+function stringifyVersions(versions) {
+  const entries = Object.keys(versions).map((key) => {
+    const version = versions[key];
+    // The plugin map of 'inline-style-prefixer' calls IE 'msie'
+    const browser = key === 'msie' ? 'ie' : key;
+    return `${browser}: ${
+      version === maximumVersion || version === 9999 ? maximumVersion : version
+    }`;
+  });
+  return `{ ${entries.join(', ')} }`;
+}
+
+function stringifyArray(items) {
+  return `[${items.join(',\n')}]`;
+}
+
+const features = [];
+Object.keys(propertyMap).forEach((feature) => {
+  const lastVersions = getLastVersions(feature);
+  if (Object.keys(lastVersions).length > 0) {
+    const properties = Array.from(new Set([].concat(propertyMap[feature])));
+    features.push(
+      `// ${feature}\n[[${properties
+        .map((property) => `'${property}'`)
+        .join(', ')}], ${stringifyVersions(lastVersions)}]`
+    );
+  }
+});
+
+const pluginEntries = plugins.map((plugin) => {
+  const lastVersions =
+    plugin === 'backgroundClip'
+      ? getLastVersions('background-clip-text')
+      : pluginMap[plugin];
+  return `[${plugin}, ${stringifyVersions(lastVersions)}]`;
+});
+
+// IE only supports the prefixed pseudo-class of the placeholder
+const placeholder = { ie: 11, ...getLastVersions('css-placeholder') };
+
+const source = `/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @noflow
+ */
+
+${plugins
+  .map(
+    (plugin) =>
+      `import ${plugin} from 'inline-style-prefixer/lib/plugins/${plugin}';`
+  )
+  .join('\n')}
+
+/**
+ * The last version of each browser that requires a vendor prefix (see
+ * 'createPrefixStylesData'). Versions of features are generated from
+ * 'caniuse-lite' using the feature map of the 'inline-style-prefixer'
+ * generator, and versions of plugins are those of the generator.
+ *
+ * Generated by 'scripts/generatePrefixStylesSupport.js'. Do not edit.
+ */
+
+// The prefix is still required by the latest version
+const ${maximumVersion} = 9999;
+
+export const features = ${stringifyArray(features)};
+
+export const plugins = ${stringifyArray(pluginEntries)};
+
+// '@-webkit-keyframes' (css-animation)
+export const keyframes = ${stringifyVersions(
+  getWebkitLastVersions('css-animation')
+)};
+
+// '::-webkit-input-placeholder', '::-moz-placeholder', and
+// ':-ms-input-placeholder' (css-placeholder). IE only supports the prefixed
+// pseudo-class, so it is not listed by 'caniuse-lite'.
+export const placeholder = ${stringifyVersions(placeholder)};
+`;
+
+fs.writeFileSync(
+  outputFile,
+  prettier.format(source, {
+    parser: 'flow',
+    singleQuote: true,
+    trailingComma: 'none'
+  })
+);
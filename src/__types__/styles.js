@@ -258,7 +258,11 @@ export type LayoutStyles = {|
 export type TransformStyles = {|
   perspective?: ?NumberOrString,
   perspectiveOrigin?: ?string,
-  transform?: ?string,
+  transform?:
+    | ?string
+    | $ReadOnlyArray<{
+        +[fn: string]: NumberOrString | $ReadOnlyArray<NumberOrString>
+      }>,
   transformOrigin?: ?string,
   transformStyle?: ?('flat' | 'preserve-3d')
 |};
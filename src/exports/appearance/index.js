@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ */
+
+import supportsDOM from '#internal/supportsDOM';
+
+type ColorSchemeName = 'light' | 'dark';
+
+type AppearanceStatus = {
+  addChangeListener: (listener: () => void) => {| remove: () => void |},
+  colorScheme: ?ColorSchemeName,
+  highContrast: ?boolean,
+  setColorScheme: (colorScheme: ?ColorSchemeName) => void,
+  setHighContrast: (highContrast: ?boolean) => void
+};
+
+// The attributes of the root element that dynamic colors depend on
+export const colorSchemeAttributeName = 'data-colorscheme';
+export const contrastAttributeName = 'data-contrast';
+// The attribute of the element that contains the tree of a shadow root (see
+// 'StyleRoot'). It mirrors the attributes of the root element, as ':root'
+// doesn't match within a shadow tree.
+export const styleRootAttributeName = 'data-styleroot';
+
+let colorSchemeOverride = null;
+let highContrastOverride = null;
+const listeners = new Set();
+
+const setRootAttribute = (name: string, value: ?string) => {
+  if (supportsDOM()) {
+    const root = document.documentElement;
+    if (root != null && root.setAttribute) {
+      if (value != null) {
+        root.setAttribute(name, value);
+      } else {
+        root.removeAttribute(name);
+      }
+    }
+  }
+};
+
+const onAppearanceChange = () => {
+  setRootAttribute(colorSchemeAttributeName, colorSchemeOverride);
+  setRootAttribute(
+    contrastAttributeName,
+    highContrastOverride != null
+      ? highContrastOverride
+        ? 'more'
+        : 'no-preference'
+      : null
+  );
+  listeners.forEach((listener) => {
+    listener();
+  });
+};
+
+/**
+ * Overrides of the color scheme and contrast preferences of the system, e.g.,
+ * for an in-app setting. The overrides apply to dynamic colors by setting
+ * attributes on the root element. Server rendered documents can set the same
+ * attributes ('data-colorscheme="dark"', 'data-contrast="more"').
+ * A value of 'null' follows the system again.
+ */
+export const Appearance: AppearanceStatus = {
+  addChangeListener(listener) {
+    listeners.add(listener);
+    return {
+      remove() {
+        listeners.delete(listener);
+      }
+    };
+  },
+  setColorScheme(colorScheme) {
+    colorSchemeOverride = colorScheme;
+    onAppearanceChange();
+  },
+  setHighContrast(highContrast) {
+    highContrastOverride = highContrast;
+    onAppearanceChange();
+  },
+  get colorScheme() {
+    return colorSchemeOverride;
+  },
+  get highContrast() {
+    return highContrastOverride;
+  }
+};
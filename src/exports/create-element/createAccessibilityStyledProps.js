@@ -11,8 +11,10 @@ import type { AccessibilityProps } from '../../__types__/Accessibility';
 import type { ElementType } from 'react';
 
 import { omit, pick } from '#internal/filterObjectProperties';
+import flattenArray from '#internal/flattenArray';
 import hyphenateString from '#internal/hyphenateString';
 import { StyleSheet } from '../style-sheet';
+import { getSourceLabels } from '../style-sheet/inspect';
 
 export type AccessibilityStyledProps = {|
   ...AccessibilityProps,
@@ -97,7 +99,9 @@ function flattenIDRefList(idRefList: string | Array<string>): string {
 
 export default function createAccessibilityStyledProps(
   elementType: ElementType,
-  props: ?Props
+  props: ?Props,
+  styleResolver?: ?{ resolve: typeof StyleSheet.resolve },
+  direction?: ?('ltr' | 'rtl')
 ): Object {
   if (props == null) {
     return {};
@@ -357,7 +361,9 @@ export default function createAccessibilityStyledProps(
   }
 
   // "classList" & "style" replaced with native "className" & "style"
-  const resolvedStyleProps = StyleSheet.resolve(style, classList);
+  const resolve =
+    styleResolver != null ? styleResolver.resolve : StyleSheet.resolve;
+  const resolvedStyleProps = resolve(style, classList, direction);
   const { className } = resolvedStyleProps;
   if (className != null && className !== '') {
     forwardedProps.className = className;
@@ -372,6 +378,13 @@ export default function createAccessibilityStyledProps(
     if (testID != null) {
       forwardedProps['data-testid'] = testID;
     }
+    // The styles that were used, e.g., 'Button.root' (see 'StyleSheet.inspect')
+    const source = getSourceLabels(
+      Array.isArray(style) ? flattenArray(style) : [style]
+    );
+    if (source !== '') {
+      forwardedProps['data-stylesource'] = source;
+    }
   }
 
   return forwardedProps;
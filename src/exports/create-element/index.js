@@ -16,6 +16,9 @@ import createAccessibilityStyledProps, {
   filterProps
 } from './createAccessibilityStyledProps';
 import css from '../style-sheet/css';
+import useLayoutEffect from '#internal/useLayoutEffect';
+import LocaleContext from '../localization/LocaleContext';
+import StyleResolverContext from '../style-sheet/StyleResolverContext';
 
 const createStyleRules = css.create;
 
@@ -26,13 +29,45 @@ export function createElement(
   props: any,
   ...children: any
 ): React.Node {
+  // Resolve styles with the nearest resolver, e.g., one per server request
+  const styleResolver = React.useContext(StyleResolverContext);
+  // Resolve start/end styles for the direction of the element, or that of the
+  // nearest ancestor that sets one
+  const locale = React.useContext(LocaleContext);
+  const dir = props != null ? props.dir : null;
+  const lang = props != null && props.lang != null ? props.lang : locale.lang;
+  const direction = dir === 'ltr' || dir === 'rtl' ? dir : locale.direction;
+  const nextLocale = React.useMemo(() => ({ direction, lang }), [
+    direction,
+    lang
+  ]);
   const accessibilityStyledProps = createAccessibilityStyledProps(
     componentType,
-    props
+    props,
+    styleResolver,
+    direction
   );
-  return React.createElement(
+  // Count the elements using each class so unused dynamic styles can be
+  // deleted from the style sheet
+  const { className } = accessibilityStyledProps;
+  useLayoutEffect(() => {
+    if (styleResolver != null && styleResolver.retain != null) {
+      styleResolver.retain(className);
+      return () => {
+        styleResolver.release(className);
+      };
+    }
+  }, [styleResolver, className]);
+  const element = React.createElement(
     componentType,
     accessibilityStyledProps,
     ...children
   );
+  return direction !== locale.direction || lang !== locale.lang ? (
+    <LocaleContext.Provider value={nextLocale}>
+      {element}
+    </LocaleContext.Provider>
+  ) : (
+    element
+  );
 }
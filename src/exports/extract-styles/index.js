@@ -0,0 +1,304 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @noflow
+ */
+
+import createOrderedCSSStyleSheet from '../style-sheet/createOrderedCSSStyleSheet';
+import i18nStyle from '../style-sheet/i18nStyle';
+import initialRules from '../style-sheet/initialRules';
+import modality from '../style-sheet/modality';
+import validate from '../style-sheet/validate';
+import { atomic, classic } from '../style-sheet/compile';
+import {
+  STATIC_STYLE_ELEMENT_ID,
+  STYLE_GROUPS
+} from '../style-sheet/constants';
+
+/**
+ * Collects the rules of static styles at build-time.
+ *
+ * The style sheet can be served as a cacheable file. Load it before any script
+ * (and before the style sheet rendered on the server, if any), using the id of
+ * the static style sheet:
+ *
+ * <link id="react-native-static-stylesheet" rel="stylesheet" href="styles.css" />
+ *
+ * The compiled class names are only used by a document or shadow root that
+ * contains this element. Elsewhere (e.g., when rendering on the server) the
+ * rules of extracted styles are inserted at runtime, like those of any other
+ * style.
+ *
+ * On the client, the rules of the static style sheet are merged into the
+ * style sheet of the document, so that the order of groups holds across both
+ * (the element is kept, but disabled). The rules of a cross-origin style sheet
+ * can't be read, so it must be served from the same origin or with CORS (see
+ * the 'crossorigin' attribute).
+ *
+ * Styles must be compiled with the same NODE_ENV as the app, as it determines
+ * the format of class names.
+ */
+export function createStyleExtractor() {
+  const atomicRules = {};
+  const classicRules = {};
+
+  function compileAtomic(style) {
+    const results = atomic(style);
+    return Object.keys(results).map((key) => {
+      const {
+        conditionKey,
+        group,
+        identifier,
+        property,
+        rules,
+        value
+      } = results[key];
+      atomicRules[identifier] = { group, rules };
+      // The condition and group identify the declaration in development (see
+      // 'StyleSheet.inspect')
+      return [property, value, identifier, conditionKey, group];
+    });
+  }
+
+  return {
+    /**
+     * Compile the styles passed to 'StyleSheet.create'. Returns the class
+     * names to pass as its second argument.
+     */
+    addStyleSheet(styles) {
+      const result = {};
+      Object.keys(styles).forEach((key) => {
+        if (styles[key]) {
+          // Validation mutates styles so it's done on a copy
+          const copy = { [key]: { ...styles[key] } };
+          validate(key, copy);
+          const style = copy[key];
+          const ltr = compileAtomic(i18nStyle(style, false));
+          const rtl = compileAtomic(i18nStyle(style, true));
+          result[key] =
+            JSON.stringify(ltr) === JSON.stringify(rtl)
+              ? { ltr }
+              : { ltr, rtl };
+        }
+      });
+      return result;
+    },
+
+    /**
+     * Compile the rules passed to 'css.create'. Returns the compiled rules to
+     * pass as its third argument.
+     */
+    addCSS(rules, group) {
+      const result = {};
+      Object.keys(rules).forEach((name) => {
+        const compiled = classic(rules[name], name);
+        Object.keys(compiled).forEach((key) => {
+          const { identifier, rules } = compiled[key];
+          classicRules[identifier] = {
+            group: group || STYLE_GROUPS.classic,
+            rules
+          };
+          result[name] = { identifier, rules };
+        });
+      });
+      return result;
+    },
+
+    /**
+     * The style sheet of every collected rule. The order of groups is
+     * preserved and rules within a group are sorted by class name, so the
+     * output doesn't depend on the order files are compiled in.
+     */
+    getStyleSheet() {
+      const sheet = createOrderedCSSStyleSheet(null);
+      modality((rule) => sheet.insert(rule, STYLE_GROUPS.modality));
+      initialRules.forEach((rule) => {
+        sheet.insert(rule, STYLE_GROUPS.reset);
+      });
+      [classicRules, atomicRules].forEach((record) => {
+        Object.keys(record)
+          .sort()
+          .forEach((identifier) => {
+            const { group, rules } = record[identifier];
+            rules.forEach((rule) => {
+              sheet.insert(rule, group);
+            });
+          });
+      });
+
+      return {
+        id: STATIC_STYLE_ELEMENT_ID,
+        textContent: sheet.getTextContent()
+      };
+    }
+  };
+}
+
+// The exports whose calls are compiled. A default import is identified by the
+// last segment of the module path, e.g., '.../css'.
+const compiledExports = ['StyleSheet', 'createStyleRules', 'css'];
+
+/**
+ * Babel plugin that compiles static styles and passes the result to the calls
+ * that create them (class names for 'StyleSheet.create', rules for
+ * 'css.create'). Calls that can't be evaluated at build-time are left
+ * unchanged, as are calls of functions that are not imported from one of the
+ * 'importSources' (default: ['react-gui']). A source also matches its
+ * sub-paths. In development, the file of each 'StyleSheet.create' call is
+ * passed to it, to label its styles (see 'StyleSheet.inspect').
+ *
+ * plugins: [['react-gui/extract-styles', { extractor }]]
+ */
+export default function extractStylesPlugin({ types: t }, options) {
+  const { extractor, importSources = ['react-gui'] } = options;
+  if (extractor == null) {
+    throw new Error(
+      'react-gui: the extract-styles plugin requires an "extractor" option'
+    );
+  }
+
+  function isImportSource(source) {
+    return importSources.some(
+      (importSource) =>
+        source === importSource || source.indexOf(`${importSource}/`) === 0
+    );
+  }
+
+  /**
+   * The name of the export that an identifier is bound to, if it is imported
+   * from one of the import sources.
+   */
+  function getImportedName(path) {
+    if (!path.isIdentifier()) {
+      return null;
+    }
+    const binding = path.scope.getBinding(path.node.name);
+    if (binding == null || binding.kind !== 'module') {
+      return null;
+    }
+    const specifier = binding.path;
+    const declaration = specifier.parentPath;
+    if (
+      !declaration.isImportDeclaration() ||
+      declaration.node.importKind === 'type' ||
+      !isImportSource(declaration.node.source.value)
+    ) {
+      return null;
+    }
+    let name = null;
+    if (specifier.isImportSpecifier()) {
+      const { imported } = specifier.node;
+      name = t.isIdentifier(imported) ? imported.name : imported.value;
+    } else if (specifier.isImportDefaultSpecifier()) {
+      name = declaration.node.source.value.split('/').pop();
+    }
+    return compiledExports.indexOf(name) > -1 ? name : null;
+  }
+
+  /**
+   * The kind of function that is called: 'styleSheet' for 'StyleSheet.create',
+   * or 'css' for 'css.create' and 'createStyleRules'.
+   */
+  function getCalleeKind(callee) {
+    if (callee.isMemberExpression()) {
+      const { computed, property } = callee.node;
+      if (!computed && t.isIdentifier(property, { name: 'create' })) {
+        const name = getImportedName(callee.get('object'));
+        if (name === 'StyleSheet') {
+          return 'styleSheet';
+        } else if (name === 'css') {
+          return 'css';
+        }
+      }
+    } else if (getImportedName(callee) === 'createStyleRules') {
+      return 'css';
+    }
+    return null;
+  }
+
+  /**
+   * The file of the module, relative to the working directory, that labels
+   * its styles in development (see 'StyleSheet.inspect').
+   */
+  function getFilename(state) {
+    const { cwd, filename } = state.file.opts;
+    if (filename == null) {
+      return null;
+    }
+    const relative =
+      cwd != null && filename.indexOf(cwd) === 0
+        ? filename.slice(cwd.length + 1)
+        : filename;
+    return relative.replace(/\\/g, '/');
+  }
+
+  function evaluateArguments(path) {
+    const args = path.get('arguments');
+    const values = [];
+    for (let i = 0; i < args.length; i += 1) {
+      const { confident, value } = args[i].evaluate();
+      if (!confident) {
+        return null;
+      }
+      values.push(value);
+    }
+    return values;
+  }
+
+  return {
+    name: 'react-gui-extract-styles',
+    visitor: {
+      CallExpression(path, state) {
+        const kind = getCalleeKind(path.get('callee'));
+        if (kind === 'styleSheet') {
+          const args = path.node.arguments;
+          if (args.length === 0) {
+            return;
+          }
+          // Calls with compiled styles have already been extracted. The
+          // second argument may be 'null' if a name is given.
+          const isExtracted =
+            args.length > 1 &&
+            !t.isNullLiteral(args[1]) &&
+            !t.isIdentifier(args[1], { name: 'undefined' });
+          const values = isExtracted ? null : evaluateArguments(path);
+          if (values != null) {
+            const compiled = t.valueToNode(extractor.addStyleSheet(values[0]));
+            if (args.length > 1) {
+              args[1] = compiled;
+            } else {
+              args.push(compiled);
+            }
+          }
+          // StyleSheet.create(styles, compiledStyles, name, file)
+          const filename = getFilename(state);
+          if (
+            process.env.NODE_ENV !== 'production' &&
+            filename != null &&
+            args.length < 4
+          ) {
+            while (args.length < 3) {
+              args.push(t.nullLiteral());
+            }
+            args.push(t.stringLiteral(filename));
+          }
+        } else if (kind === 'css') {
+          const args = path.node.arguments;
+          // css.create(rules, group, compiledRules)
+          const values =
+            args.length > 0 && args.length < 3 ? evaluateArguments(path) : null;
+          if (values != null) {
+            const compiled = extractor.addCSS(values[0], values[1]);
+            if (args.length < 2) {
+              args.push(t.nullLiteral());
+            }
+            args.push(t.valueToNode(compiled));
+          }
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import * as React from 'react';
+import { createElement, createStyleRules } from '../create-element';
+import { useLocalization } from '../use-localization';
+
+export type LocaleProviderProps = {|
+  children?: React.Node,
+  direction?: 'ltr' | 'rtl',
+  lang?: string
+|};
+
+/**
+ * Sets the direction and language of a subtree. Start and end styles of the
+ * elements within are resolved for the direction of the nearest provider
+ * rather than the global 'Localization'.
+ *
+ * <LocaleProvider direction="rtl" lang="ar">
+ *   <Panel />
+ * </LocaleProvider>
+ *
+ * Without a direction, the provider follows its ancestors (or 'Localization')
+ * and the subtree re-renders when they change, e.g., after
+ * 'Localization.setLocale'.
+ */
+export function LocaleProvider(props: LocaleProviderProps): React.Node {
+  const { children } = props;
+  const localization = useLocalization();
+  const direction =
+    props.direction != null ? props.direction : localization.direction;
+  const lang = props.lang != null ? props.lang : localization.locale;
+
+  // The element doesn't generate a box, so it doesn't affect layout
+  return createElement('div', {
+    children,
+    classList: [classes.provider],
+    dir: direction,
+    lang
+  });
+}
+
+const classes = createStyleRules({
+  provider: {
+    display: 'contents'
+  }
+});
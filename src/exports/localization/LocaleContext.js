@@ -0,0 +1,26 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ */
+
+import type { Context } from 'react';
+
+import { createContext } from 'react';
+
+export type Locale = {|
+  direction: ?('ltr' | 'rtl'),
+  lang: ?string
+|};
+
+/**
+ * The locale of a subtree. A null direction defers to 'Localization'.
+ */
+const LocaleContext: Context<Locale> = createContext({
+  direction: null,
+  lang: null
+});
+export default LocaleContext;
@@ -8,35 +8,110 @@
  * @flow
  */
 
+import isLocaleRTL from '#internal/isLocaleRTL';
 import supportsDOM from '#internal/supportsDOM';
 
 type LocalizationStatus = {
+  addChangeListener: (listener: () => void) => {| remove: () => void |},
   allowRTL: (allowRTL: boolean) => void,
   forceRTL: (forceRTL: boolean) => void,
   isRTL: boolean,
+  locale: ?string,
+  setLocale: (locale: ?string) => void,
   setPreferredLanguageRTL: (setRTL: boolean) => void
 };
 
-let isPreferredLanguageRTL = false;
+/**
+ * The locale of a server rendered document ('<html lang="ar">'), otherwise
+ * the preferred language of the user.
+ */
+const getDefaultLocale = () => {
+  if (supportsDOM()) {
+    const root = document.documentElement;
+    if (root != null && root.lang) {
+      return root.lang;
+    }
+    if (typeof navigator !== 'undefined') {
+      const { languages } = navigator;
+      if (languages != null && languages.length > 0) {
+        return languages[0];
+      }
+      return navigator.language || null;
+    }
+  }
+  return null;
+};
+
+// The direction of a server rendered document ('<html dir="rtl">' or
+// '<html lang="ar">'), if any. Otherwise the document is LTR, and only
+// 'useLocalization' derives the direction from the preferred language.
+const getDefaultRTL = (): ?boolean => {
+  if (supportsDOM()) {
+    const root = document.documentElement;
+    if (root != null && root.getAttribute) {
+      const dir = root.getAttribute('dir');
+      if (dir != null) {
+        return dir === 'rtl';
+      }
+      if (root.lang) {
+        return isLocaleRTL(root.lang);
+      }
+    }
+  }
+  return null;
+};
+
+let isPreferredLanguageRTL: ?boolean = getDefaultRTL();
 let isRTLAllowed = true;
 let isRTLForced = false;
+let localeOverride = null;
+const listeners = new Set();
 
 const isRTL = () => {
   if (isRTLForced) {
     return true;
   }
-  return isRTLAllowed && isPreferredLanguageRTL;
+  return isRTLAllowed && isPreferredLanguageRTL === true;
 };
 
+/**
+ * The direction of the app, or null if none is known (see 'useLocalization').
+ */
+export function getPreferredRTL(): ?boolean {
+  if (isRTLForced) {
+    return true;
+  }
+  return isRTLAllowed ? isPreferredLanguageRTL : false;
+}
+
 const onDirectionChange = () => {
   if (supportsDOM()) {
     if (document.documentElement && document.documentElement.setAttribute) {
       document.documentElement.setAttribute('dir', isRTL() ? 'rtl' : 'ltr');
+      if (localeOverride != null) {
+        document.documentElement.setAttribute('lang', localeOverride);
+      }
     }
   }
+  listeners.forEach((listener) => {
+    listener();
+  });
 };
 
+/**
+ * The locale and writing direction of the app. Changes are observed with
+ * 'addChangeListener' (or 'useLocalization'), so that rendered components can
+ * resolve their styles for the new direction.
+ */
 export const Localization: LocalizationStatus = {
+  addChangeListener(listener) {
+    listeners.add(listener);
+    return {
+      remove() {
+        listeners.delete(listener);
+      }
+    };
+  },
   allowRTL(bool) {
     isRTLAllowed = bool;
     onDirectionChange();
@@ -45,11 +120,23 @@ export const Localization: LocalizationStatus = {
     isRTLForced = bool;
     onDirectionChange();
   },
+  /**
+   * Set the locale (e.g., 'ar-EG'). The direction is derived from the script
+   * of the locale.
+   */
+  setLocale(locale) {
+    localeOverride = locale;
+    isPreferredLanguageRTL = locale != null ? isLocaleRTL(locale) : null;
+    onDirectionChange();
+  },
   setPreferredLanguageRTL(bool) {
     isPreferredLanguageRTL = bool;
     onDirectionChange();
   },
   get isRTL() {
     return isRTL();
+  },
+  get locale() {
+    return localeOverride != null ? localeOverride : getDefaultLocale();
   }
 };
@@ -0,0 +1,120 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import * as React from 'react';
+import {
+  Appearance,
+  colorSchemeAttributeName,
+  contrastAttributeName,
+  styleRootAttributeName
+} from '../appearance';
+import { createElement, createStyleRules } from '../create-element';
+import createStyleResolver from '../style-sheet/createStyleResolver';
+import StyleResolverContext from '../style-sheet/StyleResolverContext';
+import supportsDOM from '#internal/supportsDOM';
+
+export type StyleRootProps = {|
+  children?: React.Node,
+  root: Document | ShadowRoot
+|};
+
+const resolvers: WeakMap<Document | ShadowRoot, any> = new WeakMap();
+
+function getStyleResolver(root, parentResolver) {
+  // On the server, styles are collected by the resolver of the request (see
+  // 'createServerContext'). The parent resolver of the document already
+  // manages its style sheet.
+  if (!supportsDOM() || root === document) {
+    return parentResolver;
+  }
+  let resolver = resolvers.get(root);
+  if (resolver == null) {
+    resolver = createStyleResolver({ root });
+    resolvers.set(root, resolver);
+  }
+  return resolver;
+}
+
+function getRootAttribute(name) {
+  const element = document.documentElement;
+  return element != null ? element.getAttribute(name) : null;
+}
+
+/**
+ * The element that contains the tree of a shadow root. Dynamic colors are
+ * scoped to the appearance attributes of the root element, which ':root'
+ * doesn't match within a shadow tree, so the element mirrors them.
+ */
+function ShadowRootContainer(props: {| children?: React.Node |}): React.Node {
+  const [colorScheme, setColorScheme] = React.useState(() =>
+    getRootAttribute(colorSchemeAttributeName)
+  );
+  const [contrast, setContrast] = React.useState(() =>
+    getRootAttribute(contrastAttributeName)
+  );
+
+  React.useEffect(() => {
+    function update() {
+      setColorScheme(getRootAttribute(colorSchemeAttributeName));
+      setContrast(getRootAttribute(contrastAttributeName));
+    }
+    // The attributes may have changed since the render
+    update();
+    const listener = Appearance.addChangeListener(update);
+    return () => {
+      listener.remove();
+    };
+  }, []);
+
+  // The element doesn't generate a box, so it doesn't affect layout
+  return createElement('div', {
+    [colorSchemeAttributeName]: colorScheme,
+    [contrastAttributeName]: contrast,
+    [styleRootAttributeName]: '',
+    children: props.children,
+    classList: [classes.container]
+  });
+}
+
+/**
+ * Styles of the elements in a subtree are inserted into the style sheet of a
+ * shadow root or the document of a frame, e.g., when rendering into a portal.
+ *
+ * const shadowRoot = host.attachShadow({ mode: 'open' });
+ * ReactDOM.render(
+ *   <StyleRoot root={shadowRoot}><App /></StyleRoot>,
+ *   shadowRoot
+ * );
+ *
+ * Each root has its own style sheet, so a root only contains the rules of the
+ * elements rendered into it. The tree of a shadow root is wrapped in an element
+ * that follows the appearance of the document (see 'Appearance').
+ */
+export function StyleRoot(props: StyleRootProps): React.Node {
+  const { children, root } = props;
+  const parentResolver = React.useContext(StyleResolverContext);
+  const resolver = getStyleResolver(root, parentResolver);
+  // DOCUMENT_FRAGMENT_NODE
+  const isShadowRoot = supportsDOM() && root.nodeType === 11;
+  return (
+    <StyleResolverContext.Provider value={resolver}>
+      {isShadowRoot ? (
+        <ShadowRootContainer>{children}</ShadowRootContainer>
+      ) : (
+        children
+      )}
+    </StyleResolverContext.Provider>
+  );
+}
+
+const classes = createStyleRules({
+  container: {
+    display: 'contents'
+  }
+});
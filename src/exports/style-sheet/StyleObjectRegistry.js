@@ -8,15 +8,34 @@
  * @flow
  */
 
+type CompiledStyle = {|
+  ltr: Array<[string, string, string]>,
+  rtl?: Array<[string, string, string]>
+|};
+
+export type StyleSource = {|
+  file: ?string,
+  key: string,
+  name: ?string
+|};
+
 const emptyObject = {};
 const objects = {};
+const compiledObjects = {};
+// Where each style was created, in development
+const sources = {};
+const sourceLabels = {};
 const prefix = 'r';
 let uniqueID = 1;
 
 const createKey = (id) => `${prefix}-${id}`;
 
 export default class StyleObjectRegistry {
-  static register(object: Object): number {
+  static register(
+    object: Object,
+    compiled?: ?CompiledStyle,
+    source?: ?StyleSource
+  ): number {
     if (process.env.NODE_ENV === 'test') {
       // return object;
     }
@@ -26,6 +45,19 @@ export default class StyleObjectRegistry {
     }
     const key = createKey(id);
     objects[key] = object;
+    if (compiled != null) {
+      compiledObjects[key] = compiled;
+    }
+    if (process.env.NODE_ENV !== 'production') {
+      if (source != null) {
+        sources[key] = source;
+        const label = getSourceLabel(source);
+        if (sourceLabels[label] == null) {
+          sourceLabels[label] = [];
+        }
+        sourceLabels[label].push(id);
+      }
+    }
     return id;
   }
 
@@ -43,4 +75,36 @@ export default class StyleObjectRegistry {
     }
     return object;
   }
+
+  /**
+   * The class names of a style that was compiled at build-time, if any.
+   */
+  static getCompiledByID(id: number): ?CompiledStyle {
+    return compiledObjects[createKey(id)];
+  }
+
+  /**
+   * The 'StyleSheet.create' name and key of a style, in development.
+   */
+  static getSourceByID(id: number): ?StyleSource {
+    return id ? sources[createKey(id)] : null;
+  }
+
+  /**
+   * The styles created with a label, e.g., 'Button.root'. Styles created
+   * without a name or file are only labelled by their key, which may not be
+   * unique.
+   */
+  static getIDsBySourceLabel(label: string): Array<number> {
+    return sourceLabels[label] || [];
+  }
+}
+
+/**
+ * The label of a source, e.g., 'src/Button.js:Button.root'.
+ */
+export function getSourceLabel(source: StyleSource): string {
+  const { file, key, name } = source;
+  const label = name != null ? `${name}.${key}` : key;
+  return file != null ? `${file}:${label}` : label;
 }
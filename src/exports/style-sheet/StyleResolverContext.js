@@ -0,0 +1,20 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type { Context } from 'react';
+
+import { createContext } from 'react';
+import styleResolver from './styleResolver';
+
+/**
+ * The style resolver used by elements in a subtree. Defaults to the shared
+ * resolver so that an app without a provider behaves as before.
+ */
+const StyleResolverContext: Context<any> = createContext(styleResolver);
+export default StyleResolverContext;
@@ -7,9 +7,22 @@
  * @flow
  */
 
+import type { PrefixTargets } from '#internal/prefixStyles';
+import type { ScalableUnits } from './normalizeValueWithProperty';
+
 import StyleObjectRegistry from './StyleObjectRegistry';
+import { setBreakpoints } from './conditions';
+import createServerContext from './createServerContext';
+import { dynamicColor } from './dynamicColor';
+import { createFontFace } from './fontFace';
+import { createKeyframes } from './keyframes';
+import { setLogicalProperties } from './i18nStyle';
+import { setScalableUnits } from './normalizeValueWithProperty';
+import { setPrefixTargets } from '#internal/prefixStyles';
 import styleResolver from './styleResolver';
+import { createTheme } from './theme';
 import flattenStyle from './flattenStyle';
+import inspect from './inspect';
 
 const StyleSheet = {
   compose(style1: any, style2: any): any {
@@ -33,7 +46,18 @@ const StyleSheet = {
       return style1 || style2;
     }
   },
-  create(styles: Object): {| [key: string]: number |} {
+  /**
+   * The optional 'compiledStyles' are produced by 'react-gui/extract-styles'
+   * for styles whose rules were extracted at build-time. The optional 'name'
+   * (e.g., of the component) and 'file' identify the styles when debugging.
+   * The plugin passes the file in development.
+   */
+  create(
+    styles: Object,
+    compiledStyles?: ?Object,
+    name?: ?string,
+    file?: ?string
+  ): {| [key: string]: number |} {
     const result = {};
     Object.keys(styles).forEach((key) => {
       if (process.env.NODE_ENV !== 'production') {
@@ -41,13 +65,107 @@ const StyleSheet = {
         const interopValidate = validate.default ? validate.default : validate;
         interopValidate(key, styles);
       }
-      const id = styles[key] && StyleObjectRegistry.register(styles[key]);
+      const compiled = compiledStyles != null ? compiledStyles[key] : null;
+      const source =
+        process.env.NODE_ENV !== 'production' ? { file, key, name } : null;
+      const id =
+        styles[key] &&
+        StyleObjectRegistry.register(styles[key], compiled, source);
       result[key] = id;
     });
     return result;
   },
+  /**
+   * Configure the style sheet of the document, e.g., the nonce required by a
+   * content security policy: StyleSheet.configure({ nonce }).
+   *
+   * 'validation' is the severity of style errors in development: 'warn'
+   * (default), 'throw', or 'collect'.
+   *
+   * 'dynamicProperties' are the style properties whose dynamic values (i.e.,
+   * not created with 'StyleSheet.create') are bound to CSS custom properties,
+   * e.g., 'width' is applied with the class of 'width:var(--rgui-width)' and an
+   * inline '--rgui-width'. Other dynamic values are applied as inline styles.
+   *
+   * 'instrumentation' counts the work done to resolve styles (see
+   * 'getMetrics'). Enabling it resets the counters.
+   *
+   * 'adoptedStyleSheets' writes the rules to a constructed style sheet that
+   * the document adopts, where supported. Adopted style sheets follow the
+   * other style sheets of the document, so use it with 'layers' to let the CSS
+   * of the app override the rules. It must be set before any style is
+   * resolved.
+   *
+   * 'layers' orders the rules of the style sheet using CSS cascade layers, so
+   * that other CSS can be ordered before or after them (see
+   * 'createLayeredCSSStyleSheet'). It must be set before any style is
+   * resolved, and match the style sheet rendered on the server, if any.
+   *
+   * 'logicalProperties' compiles start/end styles to CSS logical properties
+   * (e.g., 'margin-inline-start') rather than flipping them for RTL. It must
+   * be set before any style is resolved.
+   *
+   * 'scalableUnits' compiles numeric lengths to 'rem' so that they respect the
+   * font size of the browser: { properties: 'all' } or, to only scale text,
+   * { properties: 'typography' }, with an optional 'base' (default 16). Like
+   * 'logicalProperties', it must be set before any style is resolved. A server
+   * render can use other units (see 'createServerContext').
+   *
+   * 'prefixes' are the browsers to emit vendor prefixes for, e.g., the result
+   * of 'browserslist()' (['chrome 118', 'safari 16.6', ...]) or the minimum
+   * version of each browser ({ chrome: 118, safari: 16.6 }). 'false' disables
+   * prefixing. Targets only remove prefixes from the default ones. It must be
+   * set before any style is resolved or keyframes are created. A server render
+   * can use other prefixes (see 'createServerContext').
+   */
+  configure(options: {|
+    adoptedStyleSheets?: boolean,
+    dynamicProperties?: Array<string>,
+    instrumentation?: boolean,
+    layers?: boolean,
+    logicalProperties?: boolean,
+    nonce?: ?string,
+    prefixes?: ?PrefixTargets | false,
+    scalableUnits?: ?ScalableUnits,
+    strict?: boolean,
+    trustedTypesPolicy?: ?{ createHTML: (string) => any },
+    validation?: 'collect' | 'throw' | 'warn'
+  |}) {
+    const {
+      logicalProperties,
+      prefixes,
+      scalableUnits,
+      validation,
+      ...resolverOptions
+    } = options;
+    if (logicalProperties != null) {
+      setLogicalProperties(logicalProperties);
+    }
+    if (scalableUnits !== undefined) {
+      setScalableUnits(scalableUnits);
+    }
+    if (prefixes !== undefined) {
+      setPrefixTargets(prefixes);
+    }
+    if (process.env.NODE_ENV !== 'production') {
+      if (validation != null) {
+        require('./validate').setValidationSeverity(validation);
+      }
+    }
+    styleResolver.configure(resolverOptions);
+  },
+  createFontFace,
+  createKeyframes,
+  createServerContext,
+  createTheme,
+  dynamicColor,
   flatten: flattenStyle,
-  resolve: styleResolver.resolve
+  getMetrics(): ?Object {
+    return styleResolver.getMetrics();
+  },
+  inspect,
+  resolve: styleResolver.resolve,
+  setBreakpoints
 };
 
 export default StyleSheet;
@@ -7,17 +7,42 @@
  * @flow
  */
 
-import createReactDOMStyle from './createReactDOMStyle';
+import type { Condition } from './conditions';
+import type { LRUCache } from '#internal/createLRUCache';
+
+import createReactDOMStyle, {
+  createTransformValue,
+  preprocess
+} from './createReactDOMStyle';
+import { forEachDynamicColor, isDynamicColor } from './dynamicColor';
+import {
+  createCondition,
+  createConditionalSelector,
+  getAtomicGroup,
+  getConditionKey,
+  isConditionKey,
+  wrapConditionalRule
+} from './conditions';
+import createLRUCache from '#internal/createLRUCache';
 import hash from '#internal/hash';
 import hyphenateStyleName from '#internal/hyphenateStyleName';
-import normalizeValueWithProperty from './normalizeValueWithProperty';
-import prefixStyles, { prefixInlineStyles } from '#internal/prefixStyles';
+import normalizeValueWithProperty, {
+  getScalableUnits
+} from './normalizeValueWithProperty';
+import prefixStyles, {
+  getKeyframesPrefixes,
+  getPlaceholderSelectors,
+  getPrefixerKey,
+  prefixInlineStyles
+} from '#internal/prefixStyles';
 
 type Value = Object | Array<any> | string | number;
 type Style = { [key: string]: Value };
 type Rule = string;
 type Rules = Array<Rule>;
 type RulesData = {|
+  conditionKey?: string,
+  group?: number,
   property?: string,
   value?: string,
   identifier: string,
@@ -25,44 +50,69 @@ type RulesData = {|
 |};
 type CompilerOutput = { [key: string]: RulesData };
 
+// The cache is only a memo of compiled rules, so entries are evicted once it
+// holds many unique values (e.g., dynamic values in long-running apps).
+// Resolvers may use different prefixes for the same values.
+const cacheMaxSize = 5000;
+const lruCache: LRUCache<string, RulesData> = createLRUCache(cacheMaxSize);
+
 const cache = {
   get(property, value) {
-    if (
-      cache[property] != null &&
-      cache[property].hasOwnProperty(value) &&
-      cache[property][value] != null
-    ) {
-      return cache[property][value];
-    }
+    return lruCache.get(getPrefixerKey() + property + '\n' + value);
   },
   set(property, value, object) {
-    if (cache[property] == null) {
-      cache[property] = {};
-    }
-    return (cache[property][value] = object);
+    return lruCache.set(getPrefixerKey() + property + '\n' + value, object);
   }
 };
 
 /**
  * Compile style to atomic CSS rules.
+ * The 'property' of conditional rules is prefixed by the condition key, e.g.,
+ * ':hovercolor'.
  */
-export function atomic(style: Style): CompilerOutput {
+export function atomic(
+  originalStyle: Style,
+  condition?: Condition
+): CompilerOutput {
+  // Shadow properties are compiled to a single 'boxShadow' or 'textShadow' rule
+  const style = preprocess(originalStyle);
   return Object.keys(style)
     .sort()
     .reduce((acc, property) => {
       const value = style[property];
       if (value != null) {
+        if (isConditionKey(property)) {
+          const nextCondition = createCondition(condition, property);
+          if (nextCondition != null && typeof value === 'object') {
+            Object.assign(acc, atomic(value, nextCondition));
+          }
+          return acc;
+        }
+        const conditionKey = getConditionKey(condition);
+        const key = conditionKey + property;
         const valueString = stringifyValueWithProperty(value, property);
-        const cachedResult = cache.get(property, valueString);
+        const cachedResult = cache.get(key, valueString);
         if (cachedResult != null) {
           const { identifier } = cachedResult;
           acc[identifier] = cachedResult;
         } else {
-          const identifier = createIdentifier('r', property, value);
-          const rules = createAtomicRules(identifier, property, value);
-          const cachedResult = cache.set(property, valueString, {
+          const identifier = createIdentifier(
+            'r',
+            property,
+            value,
+            conditionKey
+          );
+          const rules = createAtomicRules(
+            identifier,
             property,
-            value: stringifyValueWithProperty(value, property),
+            value,
+            condition
+          );
+          const cachedResult = cache.set(key, valueString, {
+            conditionKey,
+            group: getAtomicGroup(property, condition),
+            property: key,
+            value: valueString,
             identifier,
             rules
           });
@@ -105,6 +155,30 @@ export function inline(style: Style): Object {
   return prefixInlineStyles(createReactDOMStyle(style));
 }
 
+/**
+ * The CSS custom property that a style property is bound to, e.g.,
+ * 'backgroundColor' => '--rgui-background-color'.
+ */
+export function createVariableName(property: string): string {
+  return `--rgui-${hyphenateStyleName(property)}`;
+}
+
+/**
+ * Compile a value to the value of the CSS custom property of a style
+ * property. Returns null if the value can't be bound to a custom property.
+ */
+export function createVariableValue(property: string, value: Value): ?string {
+  const isTransform = property === 'transform' && Array.isArray(value);
+  // 'flex' is expanded to multiple properties only if it is a number
+  if (property === 'flex' || (typeof value === 'object' && !isTransform)) {
+    return null;
+  }
+  const domStyle = createReactDOMStyle({ [property]: value });
+  // Long-form properties have the value of the short-form property
+  const domProperty = Object.keys(domStyle)[0];
+  return domProperty != null ? String(domStyle[domProperty]) : null;
+}
+
 /**
  * Create a value string that normalizes different input values with a common
  * output.
@@ -113,8 +187,12 @@ export function stringifyValueWithProperty(
   value: Value,
   property: ?string
 ): string {
-  // e.g., 0 => '0px', 'black' => 'rgba(0,0,0,1)'
-  const normalizedValue = normalizeValueWithProperty(value, property);
+  // e.g., 0 => '0px', 'black' => 'rgba(0,0,0,1)',
+  // [{ translateX: 0 }] => 'translateX(0px)'
+  const normalizedValue =
+    property === 'transform' && Array.isArray(value)
+      ? createTransformValue(value)
+      : normalizeValueWithProperty(value, property);
   return typeof normalizedValue !== 'string'
     ? JSON.stringify(normalizedValue || '')
     : normalizedValue;
@@ -124,9 +202,14 @@ export function stringifyValueWithProperty(
  * Create the Atomic CSS rules needed for a given StyleSheet rule.
  * Translates StyleSheet declarations to CSS.
  */
-function createAtomicRules(identifier: string, property: string, value): Rules {
+function createAtomicRules(
+  identifier: string,
+  property: string,
+  value,
+  condition?: Condition
+): Rules {
   const rules = [];
-  const selector = `.${identifier}`;
+  const selector = createConditionalSelector(`.${identifier}`, condition);
 
   // Handle non-standard properties and object values that require multiple
   // CSS rules to be created.
@@ -144,12 +227,9 @@ function createAtomicRules(identifier: string, property: string, value): Rules {
 
     case 'placeholderTextColor': {
       const block = createDeclarationBlock({ color: value, opacity: 1 });
-      rules.push(
-        `${selector}::-webkit-input-placeholder${block}`,
-        `${selector}::-moz-placeholder${block}`,
-        `${selector}:-ms-input-placeholder${block}`,
-        `${selector}::placeholder${block}`
-      );
+      getPlaceholderSelectors().forEach((placeholder) => {
+        rules.push(`${selector}${placeholder}${block}`);
+      });
       break;
     }
 
@@ -188,13 +268,24 @@ function createAtomicRules(identifier: string, property: string, value): Rules {
     }
 
     default: {
-      const block = createDeclarationBlock({ [property]: value });
-      rules.push(`${selector}${block}`);
+      if (isDynamicColor(value)) {
+        forEachDynamicColor(value, (color, scope, media) => {
+          const block = createDeclarationBlock({ [property]: color });
+          const rule =
+            scope != null
+              ? `${scope} ${selector}${block}`
+              : `${selector}${block}`;
+          rules.push(media != null ? `@media ${media}{${rule}}` : rule);
+        });
+      } else {
+        const block = createDeclarationBlock({ [property]: value });
+        rules.push(`${selector}${block}`);
+      }
       break;
     }
   }
 
-  return rules;
+  return rules.map((rule) => wrapConditionalRule(rule, condition));
 }
 
 /**
@@ -227,18 +318,51 @@ function createDeclarationBlock(style: Style) {
 /**
  * An identifier is associated with a unique set of styles.
  */
-function createIdentifier(prefix: string, name: string, value): string {
-  const hashedString = hash(name + stringifyValueWithProperty(value, name));
+function createIdentifier(
+  prefix: string,
+  name: string,
+  value,
+  conditionKey?: string = ''
+): string {
+  const hashedString = hash(
+    conditionKey + name + stringifyValueWithProperty(value, name)
+  );
   return process.env.NODE_ENV !== 'production'
     ? `${prefix}-${name}-${hashedString}`
     : `${prefix}-${hashedString}`;
 }
 
+// Keyframes are usually defined once and used by many styles. The rules are
+// compiled again for a resolver with other prefixes or units.
+const keyframesCache: WeakMap<
+  Object,
+  {|
+    prefixerKey: string,
+    result: {| identifier: string, rules: Rules |},
+    scalableUnits: mixed
+  |}
+> = new WeakMap();
+
 /**
  * Create individual CSS keyframes rules.
  */
-function createKeyframes(keyframes) {
-  const prefixes = ['-webkit-', ''];
+export function createKeyframes(
+  keyframes: Object
+): {|
+  identifier: string,
+  rules: Rules
+|} {
+  const prefixerKey = getPrefixerKey();
+  const scalableUnits = getScalableUnits();
+  const cachedResult = keyframesCache.get(keyframes);
+  if (
+    cachedResult != null &&
+    cachedResult.prefixerKey === prefixerKey &&
+    cachedResult.scalableUnits === scalableUnits
+  ) {
+    return cachedResult.result;
+  }
+  const prefixes = getKeyframesPrefixes();
   const identifier = createIdentifier('r', 'animation', keyframes);
 
   const steps =
@@ -255,7 +379,9 @@ function createKeyframes(keyframes) {
   const rules = prefixes.map((prefix) => {
     return `@${prefix}keyframes ${identifier}${steps}`;
   });
-  return { identifier, rules };
+  const result = { identifier, rules };
+  keyframesCache.set(keyframes, { prefixerKey, result, scalableUnits });
+  return result;
 }
 
 /**
@@ -0,0 +1,307 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import hash from '#internal/hash';
+import supportsCSS from '#internal/supportsCSS';
+import supportsDOM from '#internal/supportsDOM';
+import { STYLE_GROUPS } from './constants';
+import { getBaseFontSize } from './normalizeValueWithProperty';
+import { focusVisibleAttributeName } from './modality';
+
+/**
+ * Style objects can contain styles that only apply under a condition, e.g.,
+ *
+ * {
+ *   color: 'black',
+ *   ':hover': { color: 'red' },
+ *   '@media (min-width: 768px)': { color: 'blue' },
+ *   '@container sidebar (min-width: 400px)': { color: 'green' }
+ * }
+ *
+ * A condition has at most one container query, one media query, and one
+ * pseudo-class.
+ */
+export type Condition = {|
+  container: ?string,
+  media: ?string,
+  pseudoClass: ?string
+|};
+
+const containerPrefix = '@container ';
+const mediaPrefix = '@media ';
+let breakpointNames = [];
+let breakpointQueries = [];
+
+// The server always renders container queries
+const supportsContainerQueries =
+  !supportsDOM() || supportsCSS('container-type: inline-size');
+export const containerQueryAttributeName = 'data-containerquery';
+const containerQueries = {};
+
+/**
+ * Named breakpoints, e.g., { md: '(min-width: 768px)', lg: '(min-width: 1024px)' }.
+ * Styles can then use '@md' in place of '@media (min-width: 768px)'.
+ * Breakpoints are ordered by precedence, lowest first. Media queries that are
+ * not breakpoints take precedence over all breakpoints.
+ * Must be set before any style is resolved.
+ */
+export function setBreakpoints(breakpoints: { [name: string]: string }) {
+  breakpointNames = Object.keys(breakpoints);
+  breakpointQueries = breakpointNames.map((name) => breakpoints[name]);
+}
+
+function getMediaQuery(key) {
+  if (key.indexOf(mediaPrefix) === 0) {
+    return key.slice(mediaPrefix.length).trim();
+  }
+  const index = breakpointNames.indexOf(key.slice(1));
+  return index > -1 ? breakpointQueries[index] : null;
+}
+
+function getContainerQuery(key) {
+  if (key.indexOf(containerPrefix) === 0) {
+    return key.slice(containerPrefix.length).trim();
+  }
+  return null;
+}
+
+export function isConditionKey(key: string): boolean {
+  const char = key.charAt(0);
+  if (char === ':') {
+    return STYLE_GROUPS.pseudo.hasOwnProperty(key);
+  }
+  return (
+    char === '@' &&
+    (getMediaQuery(key) != null || getContainerQuery(key) != null)
+  );
+}
+
+/**
+ * Create the condition of styles nested under a key. Returns null if the
+ * conditions cannot be combined, e.g., a media query within a media query.
+ */
+export function createCondition(parent: ?Condition, key: string): ?Condition {
+  const container = parent != null ? parent.container : null;
+  const media = parent != null ? parent.media : null;
+  const pseudoClass = parent != null ? parent.pseudoClass : null;
+  if (key.charAt(0) === ':') {
+    return pseudoClass == null ? { container, media, pseudoClass: key } : null;
+  }
+  const containerQuery = getContainerQuery(key);
+  if (containerQuery != null) {
+    return container == null
+      ? { container: containerQuery, media, pseudoClass }
+      : null;
+  }
+  return media == null
+    ? { container, media: getMediaQuery(key), pseudoClass }
+    : null;
+}
+
+/**
+ * A string that uniquely identifies a condition, used to key caches.
+ */
+export function getConditionKey(condition: ?Condition): string {
+  if (condition == null) {
+    return '';
+  }
+  const { container, media, pseudoClass } = condition;
+  return (
+    (container != null ? containerPrefix + container : '') +
+    (media != null ? mediaPrefix + media : '') +
+    (pseudoClass || '')
+  );
+}
+
+/**
+ * Create the selector of a conditional rule. Interaction states are derived
+ * from the same attributes as the rest of the library, so that
+ * ':focus-visible' follows the modality polyfill and ':disabled' follows
+ * 'accessibilityDisabled'.
+ */
+export function createConditionalSelector(
+  selector: string,
+  condition: ?Condition
+): string {
+  if (condition == null) {
+    return selector;
+  }
+  const { container, pseudoClass } = condition;
+  let result = selector;
+  switch (pseudoClass) {
+    case ':active':
+      result = `${selector}:active`;
+      break;
+    case ':disabled':
+      result = `${selector}[aria-disabled="true"]`;
+      break;
+    case ':focus-visible':
+      result = `${selector}[${focusVisibleAttributeName}]`;
+      break;
+    case ':hover':
+      result = `${selector}:hover`;
+      break;
+  }
+  if (container != null && !supportsContainerQueries) {
+    // Match descendants of containers that have the attribute set by the
+    // fallback (see 'getMatchingContainerQueries')
+    const token = registerContainerQuery(container);
+    result = `[${containerQueryAttributeName}~="${token}"] ${result}`;
+  }
+  return result;
+}
+
+const keyframesPattern = /^@(-webkit-)?keyframes/;
+
+/**
+ * Wrap a rule in the media and container queries of a condition. Hover styles
+ * are only applied by devices whose primary pointer can hover, otherwise they
+ * stick after a tap. Keyframes are never wrapped.
+ */
+export function wrapConditionalRule(
+  rule: string,
+  condition: ?Condition
+): string {
+  if (condition == null || keyframesPattern.test(rule)) {
+    return rule;
+  }
+  const { container, media, pseudoClass } = condition;
+  let result = rule;
+  if (pseudoClass === ':hover') {
+    result = `@media (hover: hover){${result}}`;
+  }
+  if (container != null && supportsContainerQueries) {
+    result = `${containerPrefix}${container}{${result}}`;
+  }
+  if (media != null) {
+    result = `${mediaPrefix}${media}{${result}}`;
+  }
+  return result;
+}
+
+/**
+ * The group of an atomic rule. Styles for a pseudo-class take precedence over
+ * styles for a query (as they would with CSS specificity). Later breakpoints
+ * take precedence over earlier ones, and container queries take precedence
+ * over media queries.
+ */
+export function getAtomicGroup(
+  property: string,
+  condition: ?Condition
+): number {
+  let group = STYLE_GROUPS.custom[property] || STYLE_GROUPS.atomic;
+  if (condition != null) {
+    const { container, media, pseudoClass } = condition;
+    if (pseudoClass != null) {
+      group += STYLE_GROUPS.pseudo[pseudoClass];
+    }
+    if (media != null) {
+      const index = breakpointQueries.indexOf(media);
+      group += index > -1 ? index + 1 : breakpointQueries.length + 1;
+    }
+    if (container != null) {
+      group += breakpointQueries.length + 2;
+    }
+  }
+  // Avoid floating point errors, e.g., 100 + 2.2 => 102.2000000000000003
+  return Math.round(group * 10) / 10;
+}
+
+/**
+ * Every group that 'getAtomicGroup' can return for the current breakpoints,
+ * lowest first.
+ */
+export function getAtomicGroups(): Array<number> {
+  const bases = [STYLE_GROUPS.atomic];
+  Object.keys(STYLE_GROUPS.custom).forEach((property) => {
+    const group = STYLE_GROUPS.custom[property];
+    if (bases.indexOf(group) === -1) {
+      bases.push(group);
+    }
+  });
+  const offsets = [0];
+  Object.keys(STYLE_GROUPS.pseudo).forEach((pseudoClass) => {
+    offsets.push(STYLE_GROUPS.pseudo[pseudoClass]);
+  });
+  // Media levels, plus the container level, plus both combined
+  const maxLevel = 2 * breakpointQueries.length + 3;
+  const groups = [];
+  bases.forEach((base) => {
+    offsets.forEach((offset) => {
+      for (let level = 0; level <= maxLevel; level += 1) {
+        groups.push(Math.round((base + offset + level) * 10) / 10);
+      }
+    });
+  });
+  return groups.sort((a, b) => a - b);
+}
+
+/**
+ * Container query fallback.
+ *
+ * Where container queries are not supported, containers measure themselves
+ * and list the queries they match in an attribute. Only width and height
+ * features are supported, e.g., 'sidebar (min-width: 400px) and (max-width: 60em)'.
+ */
+type ContainerQuery = {|
+  features: Array<[string, string, number, ?string]>,
+  name: ?string
+|};
+
+const featurePattern = /^\(\s*(min|max)-(width|height)\s*:\s*([\d.]+)(px|r?em)?\s*\)$/;
+
+function parseContainerQuery(container: string): ContainerQuery {
+  const index = container.indexOf('(');
+  const name = index > 0 ? container.slice(0, index).trim() : null;
+  const features = [];
+  container
+    .slice(Math.max(index, 0))
+    .split(/\s+and\s+/)
+    .forEach((feature) => {
+      const match = feature.trim().match(featurePattern);
+      if (match != null) {
+        const [, bound, dimension, value, unit] = match;
+        features.push([bound, dimension, parseFloat(value), unit]);
+      } else {
+        // An unsupported feature never matches
+        features.push(['min', 'width', Infinity, null]);
+      }
+    });
+  return { features, name };
+}
+
+function registerContainerQuery(container: string): string {
+  const token = `c-${hash(container)}`;
+  if (containerQueries[token] == null) {
+    containerQueries[token] = parseContainerQuery(container);
+  }
+  return token;
+}
+
+export function getMatchingContainerQueries(
+  containerName: ?string,
+  inlineSize: number,
+  blockSize: number
+): Array<string> {
+  return Object.keys(containerQueries).filter((token) => {
+    const { features, name } = containerQueries[token];
+    if (name != null && name !== containerName) {
+      return false;
+    }
+    return features.every(([bound, dimension, value, unit]) => {
+      const size = dimension === 'width' ? inlineSize : blockSize;
+      // Relative lengths use the same base as the compiled 'rem' lengths
+      const px =
+        unit === 'em' || unit === 'rem' ? value * getBaseFontSize() : value;
+      return bound === 'min' ? size >= px : size <= px;
+    });
+  });
+}
+
+export { supportsContainerQueries };
@@ -9,12 +9,27 @@
 
 export const STYLE_ELEMENT_ID = 'react-native-stylesheet';
 
+// The style sheet of styles extracted at build-time (see 'extract-styles')
+export const STATIC_STYLE_ELEMENT_ID = 'react-native-static-stylesheet';
+
 export const STYLE_GROUPS = {
   reset: 0,
   modality: 0.1,
+  theme: 0.2,
+  fontFace: 0.3,
+  keyframes: 0.4,
   classicReset: 0.5,
   classic: 1,
   atomic: 2.2,
+  // Conditional styles follow the atomic styles. The groups of a pseudo-class
+  // are offset from the atomic groups, e.g., 2.1 => 102.1 for ':hover'. The
+  // groups of a media query are then offset by its level (see 'conditions').
+  pseudo: {
+    ':hover': 100,
+    ':focus-visible': 200,
+    ':active': 300,
+    ':disabled': 400
+  },
   custom: {
     borderColor: 2,
     borderRadius: 2,
@@ -30,7 +45,26 @@ export const STYLE_GROUPS = {
     marginHorizontal: 2.1,
     marginVertical: 2.1,
     paddingHorizontal: 2.1,
-    paddingVertical: 2.1
+    paddingVertical: 2.1,
+
+    // Logical properties take precedence over physical properties, as start
+    // and end properties do when they are flipped (see 'i18nStyle')
+    borderEndEndRadius: 2.3,
+    borderEndStartRadius: 2.3,
+    borderInlineEndColor: 2.3,
+    borderInlineEndStyle: 2.3,
+    borderInlineEndWidth: 2.3,
+    borderInlineStartColor: 2.3,
+    borderInlineStartStyle: 2.3,
+    borderInlineStartWidth: 2.3,
+    borderStartEndRadius: 2.3,
+    borderStartStartRadius: 2.3,
+    insetInlineEnd: 2.3,
+    insetInlineStart: 2.3,
+    marginInlineEnd: 2.3,
+    marginInlineStart: 2.3,
+    paddingInlineEnd: 2.3,
+    paddingInlineStart: 2.3
   }
 };
 
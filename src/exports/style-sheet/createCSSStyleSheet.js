@@ -9,19 +9,139 @@
 
 import supportsDOM from '#internal/supportsDOM';
 
+type StyleRoot = Document | ShadowRoot;
+
+function getRoot(root: ?StyleRoot): StyleRoot {
+  return root != null ? root : document;
+}
+
+function getDocument(root: any): Document {
+  return root.nodeType === 9 /* DOCUMENT_NODE */ ? root : root.ownerDocument;
+}
+
+// Constructed style sheets, by root and id
+const constructedSheets: WeakMap<
+  StyleRoot,
+  { [id: string]: CSSStyleSheet }
+> = new WeakMap();
+
+/**
+ * Constructable style sheets are supported if the root can adopt style sheets
+ * created with 'new CSSStyleSheet()'.
+ */
+export function supportsConstructableStyleSheets(root?: ?StyleRoot): boolean {
+  if (!supportsDOM()) {
+    return false;
+  }
+  const styleRoot: any = getRoot(root);
+  const win: any = getDocument(styleRoot).defaultView;
+  return (
+    win != null &&
+    typeof win.CSSStyleSheet === 'function' &&
+    typeof win.CSSStyleSheet.prototype.replaceSync === 'function' &&
+    Array.isArray(styleRoot.adoptedStyleSheets)
+  );
+}
+
+function createConstructedStyleSheet(id: string, root: any): CSSStyleSheet {
+  let sheets = constructedSheets.get(root);
+  if (sheets == null) {
+    sheets = {};
+    constructedSheets.set(root, sheets);
+  }
+  let sheet = sheets[id];
+  if (sheet == null) {
+    const win: any = getDocument(root).defaultView;
+    sheet = new win.CSSStyleSheet();
+    sheets[id] = sheet;
+  }
+  if (root.adoptedStyleSheets.indexOf(sheet) === -1) {
+    // Adopted style sheets follow the style elements of the shadow root in the
+    // cascade. Other adopted style sheets take precedence.
+    root.adoptedStyleSheets = [sheet, ...root.adoptedStyleSheets];
+  }
+  return sheet;
+}
+
+/**
+ * Stop adopting the constructed style sheet of a root, e.g., once the document
+ * uses a style element instead.
+ */
+export function removeConstructedStyleSheet(
+  id: string,
+  root?: ?StyleRoot
+): void {
+  const styleRoot: any = getRoot(root);
+  const sheets = constructedSheets.get(styleRoot);
+  if (sheets != null && sheets[id] != null) {
+    const sheet = sheets[id];
+    delete sheets[id];
+    styleRoot.adoptedStyleSheets = styleRoot.adoptedStyleSheets.filter(
+      (adoptedSheet) => adoptedSheet !== sheet
+    );
+  }
+}
+
+/**
+ * The style sheet of a root. The style element of a document is inserted into
+ * its head. Where supported, the style sheet of a shadow root is a constructed
+ * style sheet that it adopts, otherwise its style element is inserted into the
+ * shadow root. A document only adopts a constructed style sheet if 'adopt' is
+ * set, as it follows every other style sheet of the document in the cascade
+ * and could no longer be overridden by the CSS of the app (unless the rules
+ * are in layers). A style element rendered on the server is hydrated, unless
+ * the document adopts a style sheet (see 'getCSSStyleSheetElement'). The
+ * element is inserted after the element of 'precedingId', if any, so that its
+ * rules follow those rules in the cascade (e.g., the rules extracted at
+ * build-time).
+ */
 // $FlowFixMe: HTMLStyleElement is incorrectly typed - https://github.com/facebook/flow/issues/2696
-export default function createCSSStyleSheet(id: string): ?CSSStyleSheet {
+export default function createCSSStyleSheet(
+  id: string,
+  root?: ?StyleRoot,
+  nonce?: ?string,
+  precedingId?: ?string,
+  adopt?: boolean
+): ?CSSStyleSheet {
   if (supportsDOM()) {
-    const element = document.getElementById(id);
-    if (element != null) {
+    const styleRoot: any = getRoot(root);
+    // DOCUMENT_NODE
+    const isDocument = styleRoot.nodeType === 9;
+    const canAdopt =
+      (!isDocument || adopt === true) &&
+      supportsConstructableStyleSheets(styleRoot);
+    let element = styleRoot.getElementById(id);
+    // An element without the nonce is blocked by the content security policy,
+    // e.g., if it was created before the nonce was configured
+    if (
+      element != null &&
+      nonce != null &&
+      (element.nonce || element.getAttribute('nonce')) !== nonce
+    ) {
+      element.parentNode.removeChild(element);
+      element = null;
+    }
+    if (element != null && !(isDocument && canAdopt)) {
       // $FlowFixMe: HTMLElement is incorrectly typed
       return element.sheet;
+    } else if (canAdopt) {
+      return createConstructedStyleSheet(id, styleRoot);
     } else {
-      const element = document.createElement('style');
+      const doc = getDocument(styleRoot);
+      element = doc.createElement('style');
       element.setAttribute('id', id);
-      const head = document.head;
-      if (head) {
-        head.insertBefore(element, head.firstChild);
+      if (nonce != null) {
+        element.setAttribute('nonce', nonce);
+      }
+      const preceding =
+        precedingId != null ? styleRoot.getElementById(precedingId) : null;
+      if (preceding != null && preceding.parentNode != null) {
+        preceding.parentNode.insertBefore(element, preceding.nextSibling);
+      } else {
+        const parent = styleRoot === doc ? doc.head : styleRoot;
+        if (parent) {
+          parent.insertBefore(element, parent.firstChild);
+        }
       }
       return element.sheet;
     }
@@ -29,3 +149,132 @@ export default function createCSSStyleSheet(id: string): ?CSSStyleSheet {
     return null;
   }
 }
+
+/**
+ * The style element of a style sheet, e.g., rendered on the server. If the
+ * document adopts a style sheet instead, the rules of the element must be
+ * merged into it and the element removed, as it precedes the adopted style
+ * sheet in the cascade.
+ */
+export function getCSSStyleSheetElement(
+  id: string,
+  root?: ?StyleRoot
+): ?HTMLStyleElement {
+  if (supportsDOM()) {
+    const element: any = getRoot(root).getElementById(id);
+    return element != null && element.nodeName === 'STYLE' ? element : null;
+  }
+  return null;
+}
+
+function noop() {}
+
+/**
+ * Merge a style sheet that is loaded separately (e.g., the static style sheet
+ * of 'extract-styles') into the main style sheet, so that the order of groups
+ * holds across both, and disable it. The element is kept, as it identifies
+ * the rules that the root contains. A style sheet that is still loading is
+ * merged once it loads. The rules of a cross-origin style sheet can't be read,
+ * so it is left as it is.
+ */
+export function mergeCSSStyleSheet(
+  id: string,
+  root: ?StyleRoot,
+  merge: (sheet: CSSStyleSheet) => void
+): void {
+  if (!supportsDOM()) {
+    return;
+  }
+  const element: any = getRoot(root).getElementById(id);
+  if (element == null) {
+    return;
+  }
+  function mergeSheet() {
+    const sheet = element.sheet;
+    if (sheet != null) {
+      try {
+        merge(sheet);
+        sheet.disabled = true;
+      } catch (e) {
+        // SecurityError: the rules of a cross-origin style sheet
+      }
+    }
+  }
+  if (element.sheet != null) {
+    mergeSheet();
+  } else {
+    element.addEventListener('load', mergeSheet);
+  }
+}
+
+/**
+ * Merge the style sheets that were streamed from the server in chunks into the
+ * main style sheet. The element of each chunk uses the id of the main style
+ * sheet followed by a suffix. Once their rules are merged, chunks are removed
+ * so they can't affect the cascade. Chunks that are streamed while the
+ * document is loading are merged as they are inserted. Returns a function that
+ * stops observing the root.
+ */
+export function mergeCSSStyleSheetChunks(
+  id: string,
+  root: ?StyleRoot,
+  merge: (chunk: CSSStyleSheet) => void
+): () => void {
+  if (!supportsDOM()) {
+    return noop;
+  }
+  const styleRoot: any = getRoot(root);
+  const doc = getDocument(styleRoot);
+  const prefix = `${id}-`;
+
+  function mergeElement(element) {
+    const chunk = element.sheet;
+    if (chunk != null) {
+      merge(chunk);
+    }
+    if (element.parentNode != null) {
+      element.parentNode.removeChild(element);
+    }
+  }
+
+  function mergeElements() {
+    const elements = styleRoot.querySelectorAll(`style[id^="${prefix}"]`);
+    for (let i = 0; i < elements.length; i += 1) {
+      mergeElement(elements[i]);
+    }
+  }
+
+  mergeElements();
+
+  const win: any = doc.defaultView;
+  if (
+    doc.readyState !== 'loading' ||
+    win == null ||
+    typeof win.MutationObserver !== 'function'
+  ) {
+    return noop;
+  }
+  const observer = new win.MutationObserver((records) => {
+    records.forEach((record) => {
+      for (let i = 0; i < record.addedNodes.length; i += 1) {
+        const node = record.addedNodes[i];
+        if (node.nodeName === 'STYLE' && node.id.indexOf(prefix) === 0) {
+          mergeElement(node);
+        }
+      }
+    });
+  });
+  function stop() {
+    observer.disconnect();
+    doc.removeEventListener('DOMContentLoaded', handleLoaded);
+  }
+  // Any chunk that was inserted in a way the observer missed (e.g., within
+  // another element) is merged once the document is parsed
+  function handleLoaded() {
+    stop();
+    mergeElements();
+  }
+  observer.observe(styleRoot, { childList: true, subtree: true });
+  doc.addEventListener('DOMContentLoaded', handleLoaded);
+  return stop;
+}
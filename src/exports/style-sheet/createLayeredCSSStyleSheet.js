@@ -0,0 +1,318 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type { OrderedCSSStyleSheet } from './createOrderedCSSStyleSheet';
+
+import { decodeGroupRule, getSelectorText } from './createOrderedCSSStyleSheet';
+import { getAtomicGroups } from './conditions';
+import { STYLE_GROUPS } from './constants';
+
+type Groups = { [key: number]: Array<string> };
+type Selectors = { [key: string]: number };
+
+export const LAYER_NAME = 'react-gui';
+
+const slice = Array.prototype.slice;
+const layerBlockPattern = /^@layer\s+([\w-]+)\.([gi])([\d_]+)\s*\{/;
+
+/**
+ * Layer-based insertion of CSS.
+ *
+ * Each group is a sub-layer of the 'react-gui' layer, e.g., the group 2.2 is
+ * the layer 'react-gui.g2_2'. The precedence of layers is defined by the order
+ * in which they are first declared, so the first rule of the style sheet is a
+ * statement that declares every layer in order of group. Rules can then be
+ * inserted anywhere, and precedence holds across style sheets (e.g., chunks
+ * streamed from the server).
+ *
+ * Styles that are not in a layer take precedence over every layer, and other
+ * CSS can be ordered relative to ours by declaring layers before the style
+ * sheet, e.g., '@layer reset, react-gui, overrides;'.
+ *
+ * Each rule is wrapped in its own layer block, so rules can be deleted.
+ *
+ * The precedence of important declarations is the reverse of the order of
+ * layers, so rules with important declarations (e.g., 'pointerEvents') are in
+ * separate layers that are declared in reverse order of group, e.g.,
+ * 'react-gui.i2_2'. Conditional 'pointerEvents' styles then still take
+ * precedence over the base styles.
+ */
+export default function createLayeredCSSStyleSheet(
+  sheet: ?CSSStyleSheet
+): OrderedCSSStyleSheet {
+  const groups: Groups = {};
+  const selectors: Selectors = {};
+  // Number of rules in each group that have already been flushed
+  const flushed: { [key: number]: number } = {};
+  let hasStatement = false;
+  // Groups declared by the current statement
+  let declaredGroups = [];
+
+  function getStatement() {
+    const knownGroups = getKnownGroups();
+    Object.keys(groups).forEach((key) => {
+      const group = Number(key);
+      if (knownGroups.indexOf(group) === -1) {
+        knownGroups.push(group);
+      }
+    });
+    knownGroups.sort((a, b) => a - b);
+    const layers = [
+      ...knownGroups.map((group) => encodeLayerName(group, false)),
+      ...knownGroups
+        .slice()
+        .reverse()
+        .map((group) => encodeLayerName(group, true))
+    ];
+    declaredGroups = knownGroups;
+    return `@layer ${layers.join(',')};`;
+  }
+
+  function updateStatement() {
+    const statement = getStatement();
+    if (sheet != null) {
+      // Replace the statement so that the new layer is declared in order
+      if (hasStatement) {
+        sheet.deleteRule(0);
+      }
+      try {
+        sheet.insertRule(statement, 0);
+        hasStatement = true;
+      } catch (e) {
+        hasStatement = false;
+      }
+    }
+  }
+
+  function sheetDelete(sheet, selectorText) {
+    const start = hasStatement ? 1 : 0;
+    for (let i = start; i < sheet.cssRules.length; i += 1) {
+      const cssRule: any = sheet.cssRules[i];
+      const innerRules = cssRule.cssRules;
+      if (
+        innerRules != null &&
+        innerRules.length > 0 &&
+        getSelectorText(innerRules[0].cssText) === selectorText
+      ) {
+        sheet.deleteRule(i);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Hydrate record from any existing rules in the sheet.
+   */
+  if (sheet != null) {
+    slice.call(sheet.cssRules).forEach((cssRule, i) => {
+      if (
+        i === 0 &&
+        cssRule.cssText.indexOf('@layer') === 0 &&
+        cssRule.cssRules == null
+      ) {
+        hasStatement = true;
+      } else {
+        forEachLayerRule(cssRule, (cssText, group) => {
+          const selectorText = getSelectorText(cssText);
+          if (selectorText != null) {
+            selectors[selectorText] = group;
+            if (groups[group] == null) {
+              groups[group] = [];
+            }
+            groups[group].push(cssText);
+          }
+        });
+      }
+    });
+  }
+
+  const LayeredCSSStyleSheet = {
+    /**
+     * Delete a rule from the style sheet.
+     */
+    delete(cssText: string) {
+      const selectorText = getSelectorText(cssText);
+      if (selectorText == null || selectors[selectorText] == null) {
+        return;
+      }
+      const group = selectors[selectorText];
+      delete selectors[selectorText];
+      // Update the internal records.
+      const rules = groups[group];
+      for (let i = 0; i < rules.length; i += 1) {
+        if (getSelectorText(rules[i]) === selectorText) {
+          rules.splice(i, 1);
+          if (flushed[group] != null && i < flushed[group]) {
+            flushed[group] -= 1;
+          }
+          break;
+        }
+      }
+      // Update CSSOM.
+      if (sheet != null) {
+        sheetDelete(sheet, selectorText);
+      }
+    },
+
+    /**
+     * The textContent of the rules inserted since the last flush. Each chunk
+     * begins with the statement that declares the order of the layers.
+     */
+    flush(): string {
+      const chunk = [];
+      getOrderedGroups(groups).forEach((group) => {
+        const rules = groups[group];
+        const start = flushed[group] || 0;
+        if (rules.length > start) {
+          rules.slice(start).forEach((rule) => {
+            chunk.push(wrapRule(rule, group));
+          });
+          flushed[group] = rules.length;
+        }
+      });
+      return chunk.length > 0 ? [getStatement(), ...chunk].join('\n') : '';
+    },
+
+    /**
+     * The textContent of the style sheet.
+     */
+    getTextContent(): string {
+      const rules = [getStatement()];
+      getOrderedGroups(groups).forEach((group) => {
+        groups[group].forEach((rule) => {
+          rules.push(wrapRule(rule, group));
+        });
+      });
+      return rules.join('\n');
+    },
+
+    /**
+     * Insert a rule into the style sheet. Returns whether the rule was added,
+     * i.e., it was not already in the sheet or rejected.
+     */
+    insert(cssText: string, groupValue: number): boolean {
+      const group = Number(groupValue);
+
+      // Create a new group.
+      if (groups[group] == null) {
+        groups[group] = [];
+        // Declare the layer of the group, e.g., for a new breakpoint
+        if (declaredGroups.indexOf(group) === -1) {
+          updateStatement();
+        }
+      }
+
+      const selectorText = getSelectorText(cssText);
+      if (selectorText != null && selectors[selectorText] == null) {
+        // Update the internal records.
+        selectors[selectorText] = group;
+        groups[group].push(cssText);
+        // Update CSSOM.
+        if (sheet != null) {
+          try {
+            sheet.insertRule(wrapRule(cssText, group), sheet.cssRules.length);
+          } catch (e) {
+            // Revert internal record change if a rule was rejected (e.g.,
+            // unrecognized pseudo-selector)
+            groups[group].pop();
+            delete selectors[selectorText];
+            return false;
+          }
+        }
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Merge the rules of a chunk (e.g., streamed from the server) into the
+     * sheet. The groups of a chunk without layers (e.g., the static style
+     * sheet) are defined by marker rules.
+     */
+    merge(chunk: CSSStyleSheet) {
+      let group;
+      slice.call(chunk.cssRules).forEach((cssRule) => {
+        const cssText = cssRule.cssText;
+        if (cssText.indexOf('stylesheet-group') > -1) {
+          group = decodeGroupRule(cssRule);
+        } else {
+          const isLayerRule = forEachLayerRule(cssRule, (innerText, layer) => {
+            LayeredCSSStyleSheet.insert(innerText, layer);
+          });
+          if (!isLayerRule && group != null) {
+            LayeredCSSStyleSheet.insert(cssText, group);
+          }
+        }
+      });
+    }
+  };
+
+  // Declare the layers of any hydrated groups, replacing any existing
+  // statement (e.g., '@layer react-gui;' to opt-in to layers on the client)
+  updateStatement();
+
+  return LayeredCSSStyleSheet;
+}
+
+/**
+ * Whether a style sheet (e.g., rendered on the server) uses layers.
+ */
+export function isLayeredCSSStyleSheet(sheet: ?CSSStyleSheet): boolean {
+  if (sheet != null && sheet.cssRules.length > 0) {
+    const cssText = sheet.cssRules[0].cssText;
+    return cssText.indexOf(`@layer ${LAYER_NAME}`) === 0;
+  }
+  return false;
+}
+
+/**
+ * Helper functions
+ */
+
+function encodeLayerName(group: number, important: boolean): string {
+  const prefix = important ? 'i' : 'g';
+  return `${LAYER_NAME}.${prefix}${String(group).replace('.', '_')}`;
+}
+
+// Returns whether the rule is a layer block of ours
+function forEachLayerRule(cssRule, callback): boolean {
+  const match = cssRule.cssText.match(layerBlockPattern);
+  if (match != null && match[1] === LAYER_NAME && cssRule.cssRules != null) {
+    const group = Number(match[3].replace('_', '.'));
+    slice.call(cssRule.cssRules).forEach((innerRule) => {
+      callback(innerRule.cssText, group);
+    });
+    return true;
+  }
+  return false;
+}
+
+function getKnownGroups(): Array<number> {
+  return [
+    STYLE_GROUPS.reset,
+    STYLE_GROUPS.modality,
+    STYLE_GROUPS.theme,
+    STYLE_GROUPS.fontFace,
+    STYLE_GROUPS.keyframes,
+    STYLE_GROUPS.classicReset,
+    STYLE_GROUPS.classic,
+    ...getAtomicGroups()
+  ];
+}
+
+function getOrderedGroups(obj: Groups) {
+  return Object.keys(obj)
+    .map(Number)
+    .sort((a, b) => (a > b ? 1 : -1));
+}
+
+function wrapRule(cssText: string, group: number): string {
+  const important = cssText.indexOf('!important') > -1;
+  return `@layer ${encodeLayerName(group, important)}{${cssText}}`;
+}
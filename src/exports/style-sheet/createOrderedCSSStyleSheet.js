@@ -7,8 +7,16 @@
  * @flow strict-local
  */
 
+export type OrderedCSSStyleSheet = {|
+  delete: (cssText: string) => void,
+  flush: () => string,
+  getTextContent: () => string,
+  insert: (cssText: string, groupValue: number) => boolean,
+  merge: (chunk: CSSStyleSheet) => void
+|};
+
 type Groups = { [key: number]: { start: ?number, rules: Array<string> } };
-type Selectors = { [key: string]: boolean };
+type Selectors = { [key: string]: number };
 
 const slice = Array.prototype.slice;
 
@@ -29,12 +37,11 @@ const slice = Array.prototype.slice;
  */
 export default function createOrderedCSSStyleSheet(
   sheet: ?CSSStyleSheet
-): {|
-  getTextContent: () => string,
-  insert: (cssText: string, groupValue: number) => void
-|} {
+): OrderedCSSStyleSheet {
   const groups: Groups = {};
   const selectors: Selectors = {};
+  // Number of rules in each group that have already been flushed
+  const flushed: { [key: number]: number } = {};
 
   /**
    * Hydrate approximate record from any existing rules in the sheet.
@@ -50,7 +57,7 @@ export default function createOrderedCSSStyleSheet(
       } else {
         const selectorText = getSelectorText(cssText);
         if (selectorText != null) {
-          selectors[selectorText] = true;
+          selectors[selectorText] = group;
           groups[group].rules.push(cssText);
         }
       }
@@ -85,7 +92,83 @@ export default function createOrderedCSSStyleSheet(
     return isInserted;
   }
 
+  function sheetDelete(sheet, group, selectorText) {
+    const orderedGroups = getOrderedGroups(groups);
+    const nextGroupIndex = orderedGroups.indexOf(group) + 1;
+    const start = groups[group].start;
+    if (start == null) {
+      return;
+    }
+    const nextGroup = orderedGroups[nextGroupIndex];
+    const end =
+      nextGroup != null && groups[nextGroup].start != null
+        ? groups[nextGroup].start
+        : sheet.cssRules.length;
+    // Find the rule within the group (the browser may have rewritten its text)
+    for (let i = start + 1; i < end; i += 1) {
+      if (getSelectorText(sheet.cssRules[i].cssText) === selectorText) {
+        sheet.deleteRule(i);
+        // Decrement the starting index of all subsequent groups
+        for (let j = nextGroupIndex; j < orderedGroups.length; j += 1) {
+          const groupNumber = orderedGroups[j];
+          const previousStart = groups[groupNumber].start;
+          if (previousStart != null) {
+            groups[groupNumber].start = previousStart - 1;
+          }
+        }
+        return;
+      }
+    }
+  }
+
   const OrderedCSSStyleSheet = {
+    /**
+     * Delete a rule from the style sheet. The marker rules of groups are kept.
+     */
+    delete(cssText: string) {
+      const selectorText = getSelectorText(cssText);
+      if (selectorText == null || selectors[selectorText] == null) {
+        return;
+      }
+      const group = selectors[selectorText];
+      delete selectors[selectorText];
+      // Update the internal records.
+      const rules = groups[group].rules;
+      for (let i = 1; i < rules.length; i += 1) {
+        if (getSelectorText(rules[i]) === selectorText) {
+          rules.splice(i, 1);
+          if (flushed[group] != null && i < flushed[group]) {
+            flushed[group] -= 1;
+          }
+          break;
+        }
+      }
+      // Update CSSOM.
+      if (sheet != null) {
+        sheetDelete(sheet, group, selectorText);
+      }
+    },
+
+    /**
+     * The textContent of the rules inserted since the last flush. Each group
+     * is preceded by its marker rule so that every chunk can be hydrated.
+     */
+    flush(): string {
+      return getOrderedGroups(groups)
+        .reduce((chunk, group) => {
+          const rules = groups[group].rules;
+          const start = flushed[group] || 0;
+          if (rules.length > start) {
+            // The first rule of each group is the marker rule
+            chunk.push(start === 0 ? rules : [rules[0], ...rules.slice(start)]);
+            flushed[group] = rules.length;
+          }
+          return chunk;
+        }, [])
+        .map((rules) => rules.join('\n'))
+        .join('\n');
+    },
+
     /**
      * The textContent of the style sheet.
      */
@@ -99,9 +182,10 @@ export default function createOrderedCSSStyleSheet(
     },
 
     /**
-     * Insert a rule into the style sheet
+     * Insert a rule into the style sheet. Returns whether the rule was added,
+     * i.e., it was not already in the sheet or rejected.
      */
-    insert(cssText: string, groupValue: number) {
+    insert(cssText: string, groupValue: number): boolean {
       const group = Number(groupValue);
 
       // Create a new group.
@@ -121,7 +205,7 @@ export default function createOrderedCSSStyleSheet(
       const selectorText = getSelectorText(cssText);
       if (selectorText != null && selectors[selectorText] == null) {
         // Update the internal records.
-        selectors[selectorText] = true;
+        selectors[selectorText] = group;
         groups[group].rules.push(cssText);
         // Update CSSOM.
         if (sheet != null) {
@@ -130,9 +214,28 @@ export default function createOrderedCSSStyleSheet(
             // Revert internal record change if a rule was rejected (e.g.,
             // unrecognized pseudo-selector)
             groups[group].rules.pop();
+            return false;
           }
         }
+        return true;
       }
+      return false;
+    },
+
+    /**
+     * Merge the rules of a chunk (e.g., streamed from the server) into the
+     * sheet.
+     */
+    merge(chunk: CSSStyleSheet) {
+      let group;
+      slice.call(chunk.cssRules).forEach((cssRule) => {
+        const cssText = cssRule.cssText;
+        if (cssText.indexOf('stylesheet-group') > -1) {
+          group = decodeGroupRule(cssRule);
+        } else if (group != null) {
+          OrderedCSSStyleSheet.insert(cssText, group);
+        }
+      });
     }
   };
 
@@ -147,7 +250,7 @@ function encodeGroupRule(group) {
   return `[stylesheet-group="${group}"]{}`;
 }
 
-function decodeGroupRule(cssRule) {
+export function decodeGroupRule(cssRule: CSSRule): number {
   return Number(cssRule.selectorText.split(/["']/)[1]);
 }
 
@@ -157,9 +260,44 @@ function getOrderedGroups(obj: Groups) {
     .sort((a, b) => (a > b ? 1 : -1));
 }
 
-const pattern = /\s*([,])\s*/g;
-function getSelectorText(cssText) {
-  const selector = cssText.split('{')[0].trim();
+// The browser may add whitespace around separators and combinators, e.g.,
+// '.r-x>*' => '.r-x > *'
+const pattern = /\s*([,{>+~])\s*/g;
+function isConditionalGroupRule(text) {
+  const trimmed = text.trim();
+  return trimmed.indexOf('@media') === 0 || trimmed.indexOf('@container') === 0;
+}
+
+const quotesPattern = /["'\s]/g;
+function getFontFaceText(cssText) {
+  // The browser may rewrite the descriptors (e.g., their order and quotes)
+  const start = cssText.indexOf('{');
+  const end = cssText.lastIndexOf('}');
+  const descriptors = cssText
+    .slice(start + 1, end)
+    .replace(quotesPattern, '')
+    .split(';')
+    .filter((descriptor) => descriptor !== '')
+    .sort();
+  return `@font-face{${descriptors.join(';')}}`;
+}
+
+export function getSelectorText(cssText: string): ?string {
+  // Font faces have no selector, so they are identified by their descriptors
+  if (cssText.trim().indexOf('@font-face') === 0) {
+    return getFontFaceText(cssText);
+  }
+  const parts = cssText.split('{');
+  // Rules within media or container queries are identified by the queries and
+  // the selector of the rule, e.g., '@media (hover: hover){.r-color-1lbce71:hover'
+  let i = 0;
+  while (i < parts.length - 1 && isConditionalGroupRule(parts[i])) {
+    i += 1;
+  }
+  const selector = parts
+    .slice(0, i + 1)
+    .join('{')
+    .trim();
   return selector !== '' ? selector.replace(pattern, '$1') : null;
 }
 
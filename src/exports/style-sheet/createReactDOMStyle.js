@@ -8,6 +8,8 @@
  */
 
 import { MONOSPACE_FONT_STACK, STYLE_SHORT_FORM_EXPANSIONS } from './constants';
+import { dynamicColor, isDynamicColor } from './dynamicColor';
+import normalizeColor from './normalizeColor';
 import normalizeValueWithProperty from './normalizeValueWithProperty';
 import supportsCSS from '#internal/supportsCSS';
 
@@ -28,15 +30,176 @@ const supportsCSS3TextDecoration =
   supportsCSS('text-decoration-line: none') ||
   supportsCSS('-webkit-text-decoration-line: none');
 
+/**
+ * Shadows
+ */
+
+const defaultOffset = { height: 0, width: 0 };
+
+const shadowProperties = {
+  shadowColor: true,
+  shadowOffset: true,
+  shadowOpacity: true,
+  shadowRadius: true
+};
+
+const textShadowProperties = {
+  textShadowColor: true,
+  textShadowOffset: true,
+  textShadowRadius: true
+};
+
+const createShadowValue = (color, offset, radius) => {
+  const { height, width } = offset || defaultOffset;
+  const offsetX = normalizeValueWithProperty(width);
+  const offsetY = normalizeValueWithProperty(height);
+  const blurRadius = normalizeValueWithProperty(radius || 0);
+  if (color != null && offsetX != null && offsetY != null) {
+    return `${offsetX} ${offsetY} ${blurRadius} ${color}`;
+  }
+};
+
+/**
+ * Create a shadow that is appended to an existing shadow. A dynamic color
+ * creates a dynamic shadow, i.e., a shadow for each of its colors, which is
+ * compiled to classes like the dynamic colors of other properties.
+ */
+const createShadow = (existing, color, opacity, offset, radius) => {
+  const create = (color) => {
+    const shadow = createShadowValue(
+      normalizeColor(color, opacity),
+      offset,
+      radius
+    );
+    return shadow != null && existing ? `${existing}, ${shadow}` : shadow;
+  };
+  if (isDynamicColor(color)) {
+    const shadows = {};
+    Object.keys(color).forEach((key) => {
+      if (color[key] != null) {
+        shadows[key] = create(color[key]);
+      }
+    });
+    return shadows.light != null ? dynamicColor(shadows) : null;
+  }
+  return create(color);
+};
+
+/**
+ * Replace React Native's shadow properties with 'boxShadow' and 'textShadow'.
+ * The shadow is appended to any existing 'boxShadow' or 'textShadow' value.
+ * Styles are compiled per property, so this must happen before styles are
+ * compiled to atomic rules (otherwise each property would produce a shadow).
+ */
+export const preprocess = (style: Object): Object => {
+  let hasShadow = false;
+  let hasTextShadow = false;
+  for (const prop in style) {
+    if (style[prop] != null) {
+      if (shadowProperties[prop] === true) {
+        hasShadow = true;
+      } else if (textShadowProperties[prop] === true) {
+        hasTextShadow = true;
+      }
+    }
+  }
+  if (!hasShadow && !hasTextShadow) {
+    return style;
+  }
+
+  const nextStyle = {};
+  for (const prop in style) {
+    if (
+      shadowProperties[prop] !== true &&
+      textShadowProperties[prop] !== true
+    ) {
+      nextStyle[prop] = style[prop];
+    }
+  }
+  if (hasShadow) {
+    const {
+      boxShadow,
+      shadowColor,
+      shadowOffset,
+      shadowOpacity,
+      shadowRadius
+    } = style;
+    const shadow = createShadow(
+      boxShadow,
+      shadowColor || 'black',
+      shadowOpacity,
+      shadowOffset,
+      shadowRadius
+    );
+    if (shadow != null) {
+      nextStyle.boxShadow = shadow;
+    }
+  }
+  if (hasTextShadow) {
+    const {
+      textShadow,
+      textShadowColor,
+      textShadowOffset,
+      textShadowRadius
+    } = style;
+    const shadow = createShadow(
+      textShadow,
+      textShadowColor || 'black',
+      undefined,
+      textShadowOffset,
+      textShadowRadius
+    );
+    if (shadow != null) {
+      nextStyle.textShadow = shadow;
+    }
+  }
+  return nextStyle;
+};
+
+/**
+ * Transforms
+ */
+
+const angleFunctionPattern = /^(rotate|skew)/;
+
+const normalizeTransformValue = (fn: string, value: any) => {
+  if (typeof value === 'number' && angleFunctionPattern.test(fn)) {
+    return `${value}deg`;
+  }
+  return normalizeValueWithProperty(value, fn);
+};
+
+/**
+ * Convert React Native's transform array to a CSS transform, e.g.,
+ * [{ translateX: 10 }, { rotate: '45deg' }] => 'translateX(10px) rotate(45deg)'.
+ * The arguments of functions like 'matrix' and 'translate3d' are arrays.
+ */
+export const createTransformValue = (value: Array<Object>): string => {
+  return value
+    .map((transform) => {
+      const fn = Object.keys(transform)[0];
+      const args = transform[fn];
+      if (fn === 'matrix' || fn === 'matrix3d') {
+        return `${fn}(${args.join(',')})`;
+      }
+      const normalizedArgs = Array.isArray(args)
+        ? args.map((arg) => normalizeTransformValue(fn, arg)).join(',')
+        : normalizeTransformValue(fn, args);
+      return `${fn}(${normalizedArgs})`;
+    })
+    .join(' ');
+};
+
 /**
  * Reducer
  */
 
-const createReactDOMStyle = (style: ?Object) => {
-  if (!style) {
+const createReactDOMStyle = (originalStyle: ?Object) => {
+  if (!originalStyle) {
     return emptyObject;
   }
 
+  const style = preprocess(originalStyle);
   const resolvedStyle = {};
 
   Object.keys(style)
@@ -62,6 +225,10 @@ const createReactDOMStyle = (style: ?Object) => {
         } else {
           resolvedStyle[prop] = value;
         }
+      } else if (prop === 'transform') {
+        resolvedStyle[prop] = Array.isArray(value)
+          ? createTransformValue(value)
+          : value;
       } else if (prop === 'textDecorationLine') {
         // use 'text-decoration' for browsers that only support CSS2
         // text-decoration (e.g., IE, Edge)
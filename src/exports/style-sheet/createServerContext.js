@@ -0,0 +1,82 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type { PrefixTargets } from '#internal/prefixStyles';
+import type { ScalableUnits } from './normalizeValueWithProperty';
+
+import * as React from 'react';
+import createStyleResolver from './createStyleResolver';
+import StyleResolverContext from './StyleResolverContext';
+
+type StyleSheetResult = {|
+  id: string,
+  nonce?: string,
+  textContent: string,
+  trustedHTML?: any
+|};
+
+type ServerContextOptions = {|
+  layers?: boolean,
+  nonce?: ?string,
+  prefixes?: ?PrefixTargets | false,
+  scalableUnits?: ?ScalableUnits,
+  strict?: boolean,
+  trustedTypesPolicy?: ?{ createHTML: (string) => any }
+|};
+
+export type ServerContext = {|
+  Provider: React.ComponentType<{ children?: React.Node }>,
+  flushStyleSheet: () => StyleSheetResult,
+  getStyleSheet: () => StyleSheetResult
+|};
+
+/**
+ * Create a style resolver that is scoped to a single server render.
+ *
+ * const context = StyleSheet.createServerContext();
+ * const html = renderToString(<context.Provider><App /></context.Provider>);
+ * const { id, textContent } = context.getStyleSheet();
+ *
+ * When streaming, call 'flushStyleSheet' before writing each chunk of HTML and
+ * write the result to a style element. The client merges each chunk into the
+ * main style sheet as it is streamed, and removes its element.
+ *
+ * Use '{ layers: true }' to order the rules with CSS cascade layers. The
+ * client hydrates the style sheet with layers too.
+ *
+ * Use '{ nonce }' when the page has a content security policy. The result
+ * includes the nonce to set on the style element, and the client must be
+ * configured with the same nonce: StyleSheet.configure({ nonce }).
+ *
+ * Use '{ scalableUnits }' to compile the lengths of a render to 'rem' (or to
+ * 'px' with 'null') regardless of 'StyleSheet.configure', e.g., for the
+ * preferences of a user.
+ *
+ * Use '{ prefixes }' to only emit the vendor prefixes that the browser of the
+ * request needs, e.g., the result of 'browserslist' for its user agent.
+ */
+export default function createServerContext(
+  options?: ServerContextOptions
+): ServerContext {
+  const resolver = createStyleResolver({ ...options, ssr: true });
+
+  function Provider(props) {
+    return (
+      <StyleResolverContext.Provider value={resolver}>
+        {props.children}
+      </StyleResolverContext.Provider>
+    );
+  }
+
+  return {
+    Provider,
+    flushStyleSheet: resolver.flushStyleSheet,
+    getStyleSheet: resolver.getStyleSheet
+  };
+}
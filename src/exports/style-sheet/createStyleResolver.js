@@ -12,32 +12,265 @@
  * the results of render performance benchmarks.
  */
 
+import createLRUCache from '#internal/createLRUCache';
 import supportsDOM from '#internal/supportsDOM';
-import createCSSStyleSheet from './createCSSStyleSheet';
+import createCSSStyleSheet, {
+  getCSSStyleSheetElement,
+  mergeCSSStyleSheet,
+  mergeCSSStyleSheetChunks,
+  removeConstructedStyleSheet
+} from './createCSSStyleSheet';
+import createLayeredCSSStyleSheet, {
+  isLayeredCSSStyleSheet
+} from './createLayeredCSSStyleSheet';
 import createOrderedCSSStyleSheet from './createOrderedCSSStyleSheet';
 import flattenArray from '#internal/flattenArray';
 import flattenStyle from './flattenStyle';
+import StyleObjectRegistry from './StyleObjectRegistry';
 import { Localization } from '../localization';
-import i18nStyle from './i18nStyle';
-import { atomic, classic, inline, stringifyValueWithProperty } from './compile';
+import i18nStyle, { usesLogicalProperties } from './i18nStyle';
+import {
+  atomic,
+  classic,
+  createVariableName,
+  createVariableValue,
+  inline,
+  stringifyValueWithProperty
+} from './compile';
+import { preprocess } from './createReactDOMStyle';
+import { withScalableUnits } from './normalizeValueWithProperty';
+import { getPrefixer, withPrefixer } from '#internal/prefixStyles';
+import { createCondition, getConditionKey, isConditionKey } from './conditions';
+import { isDynamicColor } from './dynamicColor';
 import initialRules from './initialRules';
+import { recordClassicDeclarations, recordDeclaration } from './inspect';
 import modality from './modality';
-import { STYLE_ELEMENT_ID, STYLE_GROUPS } from './constants';
+import { getRegisteredRules } from './registeredRules';
+import {
+  STATIC_STYLE_ELEMENT_ID,
+  STYLE_ELEMENT_ID,
+  STYLE_GROUPS
+} from './constants';
 
-export default function createStyleResolver() {
-  let inserted, sheet, cache;
-  const resolved = { css: {}, ltr: {}, rtl: {} };
+// Classic rules are defined once (usually when a module is evaluated) but may
+// be inserted into the style sheet of any resolver.
+const registeredCSS = {};
+
+// Maximum number of memoized results of resolving registered styles
+const resolvedMaxSize = 1000;
+
+// Styles are validated when they are resolved, in development. Each style is
+// only checked once, and the errors of registered styles (checked by
+// 'StyleSheet.create') are reported again while collecting errors.
+const validateStyle =
+  process.env.NODE_ENV !== 'production'
+    ? require('./validate').validateStyle
+    : null;
+
+/**
+ * Options:
+ *
+ * ssr: collect rules in memory without writing to the DOM. Each server
+ * resolver has its own state, so concurrent renders don't share critical CSS.
+ *
+ * root: the document or shadow root that contains the style sheet. Each root
+ * needs its own resolver (see 'StyleRoot').
+ *
+ * adoptedStyleSheets: where supported, write to a constructed style sheet that
+ * the document adopts, rather than to a style element. Shadow roots always
+ * adopt their style sheet where supported. Adopted style sheets follow the
+ * other style sheets of the document in the cascade, so the CSS of the app
+ * can only override their rules if they are in layers (see 'layers'). A style
+ * sheet rendered on the server is merged into the adopted style sheet and
+ * removed. It can be changed (see 'configure') before any style is resolved.
+ *
+ * layers: order the groups of rules using CSS cascade layers rather than the
+ * order of rules. A style sheet rendered on the server with layers is always
+ * hydrated with layers. It can be changed (see 'configure') before any style
+ * is resolved, and must match the style sheet rendered on the server.
+ *
+ * maxUnusedRules: the number of rules of dynamic styles (i.e., styles that are
+ * not registered) to keep in the style sheet once no element uses them.
+ *
+ * nonce: the nonce of the style element, as required by a content security
+ * policy. It is also returned with the style sheet for server rendering.
+ *
+ * trustedTypesPolicy: a Trusted Types policy used to create the 'trustedHTML'
+ * of the style sheet, e.g., to render it with 'dangerouslySetInnerHTML'.
+ *
+ * strict: report styles that would be applied as inline styles (which a
+ * content security policy may block) as errors in development.
+ *
+ * instrumentation: count the work done by the resolver (see 'getMetrics'),
+ * e.g., to measure the effect of changes on render performance.
+ *
+ * dynamicProperties: the style properties whose dynamic values are bound to
+ * CSS custom properties rather than applied as inline styles. Each property is
+ * compiled to one rule, e.g., '.r-width-xyz{width:var(--rgui-width)}', and an
+ * element only sets the custom property. This bounds the number of rules for
+ * values that change often (e.g., animations) and keeps the precedence of the
+ * atomic rules.
+ *
+ * scalableUnits: compile numeric lengths to 'rem' (see 'setScalableUnits'),
+ * e.g., for the request of a server render. Styles use the units that are set
+ * with 'StyleSheet.configure' by default. Registered rules (e.g., keyframes
+ * and themes) always use the default.
+ *
+ * prefixes: the browsers to emit vendor prefixes for, or 'false' (see
+ * 'setPrefixTargets'), e.g., for the user agent of a server render. Like
+ * 'scalableUnits', registered rules always use the default.
+ */
+export default function createStyleResolver(options = {}) {
+  const {
+    maxUnusedRules = 500,
+    prefixes,
+    root = null,
+    scalableUnits,
+    ssr = false
+  } = options;
+  const prefixer = prefixes !== undefined ? getPrefixer(prefixes) : null;
+  let {
+    adoptedStyleSheets = false,
+    dynamicProperties = [],
+    layers = false,
+    nonce = null,
+    strict = false,
+    trustedTypesPolicy = null
+  } = options;
+  let metrics = options.instrumentation === true ? createMetrics() : null;
+  let inserted, sheet, cache, flushCount, dynamicRules, unusedRules;
+  // The identifiers of unused rules that are deleted once the commit is done
+  let evictedRules;
+  // Whether the root contains the rules extracted at build-time
+  let hasStaticRules;
+  // Whether the sheet uses layers, e.g., if it was rendered with layers
+  let hasLayers;
+  // The number of registered rules (e.g., '@font-face') that were inserted
+  let registeredCount;
+  // Stops merging the chunks that are streamed from the server
+  let stopMergingChunks = null;
+  const resolved = {
+    ltr: createLRUCache(resolvedMaxSize),
+    rtl: createLRUCache(resolvedMaxSize)
+  };
 
   const init = () => {
     inserted = { css: {}, ltr: {}, rtl: {} };
-    sheet = createOrderedCSSStyleSheet(createCSSStyleSheet(STYLE_ELEMENT_ID));
+    hasStaticRules = false;
+    if (ssr) {
+      hasLayers = layers;
+      sheet = layers
+        ? createLayeredCSSStyleSheet(null)
+        : createOrderedCSSStyleSheet(null);
+    } else {
+      const cssStyleSheet = getCSSStyleSheet();
+      // The style element (e.g., rendered on the server) that precedes an
+      // adopted style sheet
+      let element = getCSSStyleSheetElement(STYLE_ELEMENT_ID, root);
+      if (element != null && element.sheet === cssStyleSheet) {
+        element = null;
+      }
+      hasStaticRules = hasStaticStyleSheet(root);
+      hasLayers =
+        layers ||
+        isLayeredCSSStyleSheet(element != null ? element.sheet : cssStyleSheet);
+      const createSheet = hasLayers
+        ? createLayeredCSSStyleSheet
+        : createOrderedCSSStyleSheet;
+      sheet = createSheet(cssStyleSheet);
+      if (element != null) {
+        if (element.sheet != null) {
+          mergeSheet(element.sheet);
+        }
+        if (element.parentNode != null) {
+          element.parentNode.removeChild(element);
+        }
+      }
+      // The static style sheet precedes the style sheet in the document, so
+      // its rules are merged to keep the order of groups
+      if (hasStaticRules) {
+        mergeCSSStyleSheet(STATIC_STYLE_ELEMENT_ID, root, mergeSheet);
+      }
+      if (stopMergingChunks != null) {
+        stopMergingChunks();
+      }
+      stopMergingChunks = mergeCSSStyleSheetChunks(
+        STYLE_ELEMENT_ID,
+        root,
+        mergeSheet
+      );
+    }
     cache = {};
-    modality((rule) => sheet.insert(rule, STYLE_GROUPS.modality));
+    flushCount = 0;
+    // Reference counts of the rules of dynamic styles
+    dynamicRules = {};
+    // Rules of dynamic styles that were used by an element but no longer are
+    unusedRules = createLRUCache(maxUnusedRules, (identifier) => {
+      const item = dynamicRules[identifier];
+      if (item != null) {
+        item.evicted = true;
+        if (evictedRules.length === 0) {
+          scheduleDeleteEvicted();
+        }
+        evictedRules.push(identifier);
+      }
+    });
+    evictedRules = [];
+    modality((rule) => insertRule(rule, STYLE_GROUPS.modality), root);
     initialRules.forEach((rule) => {
-      sheet.insert(rule, STYLE_GROUPS.reset);
+      insertRule(rule, STYLE_GROUPS.reset);
     });
+    registeredCount = 0;
+    insertRegisteredRules();
   };
 
+  function getCSSStyleSheet() {
+    return createCSSStyleSheet(
+      STYLE_ELEMENT_ID,
+      root,
+      nonce,
+      STATIC_STYLE_ELEMENT_ID,
+      adoptedStyleSheets
+    );
+  }
+
+  // Merges into the current sheet, as a style sheet that is still loading is
+  // merged later
+  function mergeSheet(cssStyleSheet) {
+    sheet.merge(cssStyleSheet);
+  }
+
+  function insertRule(rule, group) {
+    const isInserted = sheet.insert(rule, group);
+    if (metrics != null && isInserted) {
+      const { rulesInserted } = metrics;
+      rulesInserted[group] = (rulesInserted[group] || 0) + 1;
+    }
+  }
+
+  /**
+   * Insert the rules registered since the last call. Rules that were rendered
+   * on the server are not inserted again.
+   */
+  function insertRegisteredRules() {
+    const registeredRules = getRegisteredRules();
+    while (registeredCount < registeredRules.length) {
+      const { group, rule } = registeredRules[registeredCount];
+      insertRule(rule, group);
+      registeredCount += 1;
+    }
+  }
+
+  function compileAtomic(style, condition) {
+    if (metrics == null) {
+      return atomic(style, condition);
+    }
+    const start = now();
+    const results = atomic(style, condition);
+    metrics.compileTime += now() - start;
+    return results;
+  }
+
   init();
 
   function addToCache(className, prop, value) {
@@ -47,33 +280,212 @@ export default function createStyleResolver() {
     cache[prop][value] = className;
   }
 
-  function getClassName(prop, value) {
+  function getClassName(prop, value, conditionKey = '') {
     const val = stringifyValueWithProperty(value, prop);
-    return cache[prop] && cache[prop].hasOwnProperty(val) && cache[prop][val];
+    const key = conditionKey + prop;
+    const className =
+      cache[key] && cache[key].hasOwnProperty(val) && cache[key][val];
+    if (metrics != null) {
+      if (className) {
+        metrics.classNameCacheHits += 1;
+      } else {
+        metrics.classNameCacheMisses += 1;
+      }
+    }
+    return className;
   }
 
-  function _injectRegisteredStyle(id) {
-    const { isRTL } = Localization;
-    const dir = isRTL ? 'rtl' : 'ltr';
-    if (!inserted[dir][id]) {
-      const style = i18nStyle(flattenStyle(id));
-      const results = atomic(style);
-      Object.keys(results).forEach((key) => {
-        const { identifier, property, rules, value } = results[key];
-        addToCache(identifier, property, value);
+  function insertAtomic(style, classList, condition) {
+    const results = compileAtomic(style, condition);
+    Object.keys(results).forEach((key) => {
+      const {
+        conditionKey,
+        group,
+        identifier,
+        property,
+        rules,
+        value
+      } = results[key];
+      if (process.env.NODE_ENV !== 'production') {
+        recordDeclaration(identifier, property, value, conditionKey, group);
+      }
+      classList.push(identifier);
+      const item = dynamicRules[identifier];
+      if (item == null) {
+        dynamicRules[identifier] = {
+          evicted: false,
+          refs: 0,
+          // Keyframes may be used by other classes (see 'createKeyframes')
+          rules: rules.filter((rule) => !keyframesPattern.test(rule))
+        };
         rules.forEach((rule) => {
-          const group = STYLE_GROUPS.custom[property] || STYLE_GROUPS.atomic;
-          sheet.insert(rule, group);
+          insertRule(rule, group);
         });
+      } else if (item.refs === 0) {
+        // An unused rule can't be deleted before the element is committed
+        unusedRules.delete(identifier);
+        item.evicted = false;
+      }
+    });
+  }
+
+  /**
+   * Delete the rules that were evicted once the current commit is complete,
+   * as an element that is committed later in the commit may retain them.
+   */
+  function scheduleDeleteEvicted() {
+    const currentEvictedRules = evictedRules;
+    Promise.resolve().then(() => {
+      // The resolver may have been reset
+      if (currentEvictedRules !== evictedRules) {
+        return;
+      }
+      evictedRules.forEach((identifier) => {
+        const item = dynamicRules[identifier];
+        if (item != null && item.evicted && item.refs === 0) {
+          item.rules.forEach((rule) => {
+            sheet.delete(rule);
+          });
+          delete dynamicRules[identifier];
+        }
+      });
+      evictedRules = [];
+    });
+  }
+
+  /**
+   * Count the elements that use the classes of dynamic styles (see
+   * 'createElement'). Rules that are never retained (e.g., the result of
+   * calling 'resolve' directly) are never deleted. Nor are '@keyframes' rules
+   * or the rules of registered styles, which other classes may use.
+   */
+  function retain(className) {
+    if (className) {
+      className.split(' ').forEach((identifier) => {
+        const item = dynamicRules[identifier];
+        if (item != null) {
+          item.refs += 1;
+          item.evicted = false;
+          unusedRules.delete(identifier);
+        }
       });
+    }
+  }
+
+  function release(className) {
+    if (className) {
+      className.split(' ').forEach((identifier) => {
+        const item = dynamicRules[identifier];
+        if (item != null && item.refs > 0) {
+          item.refs -= 1;
+          if (item.refs === 0) {
+            unusedRules.set(identifier, true);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Insert the rules of a style whose classes are cached. These rules are never
+   * deleted, even if a dynamic style inserted them first.
+   */
+  function insertCachedAtomic(style) {
+    const results = compileAtomic(style);
+    Object.keys(results).forEach((key) => {
+      const {
+        conditionKey,
+        group,
+        identifier,
+        property,
+        rules,
+        value
+      } = results[key];
+      addToCache(identifier, property, value);
+      if (dynamicRules[identifier] != null) {
+        delete dynamicRules[identifier];
+        unusedRules.delete(identifier);
+      }
+      if (process.env.NODE_ENV !== 'production') {
+        recordDeclaration(identifier, property, value, conditionKey, group);
+      }
+      rules.forEach((rule) => {
+        insertRule(rule, group);
+      });
+    });
+  }
+
+  /**
+   * The class of a property that is bound to its CSS custom property.
+   */
+  function getVariableClassName(prop) {
+    const value = `var(${createVariableName(prop)})`;
+    let className = getClassName(prop, value);
+    if (!className) {
+      insertCachedAtomic({ [prop]: value });
+      className = cache[prop][value];
+    }
+    return className;
+  }
+
+  function _injectRegisteredStyle(id, dir) {
+    if (!inserted[dir][id]) {
+      const compiled = hasStaticRules
+        ? StyleObjectRegistry.getCompiledByID(id)
+        : null;
+      if (compiled != null) {
+        // The rules of styles extracted at build-time are already in the
+        // static style sheet. Other roots (e.g., on the server or in a shadow
+        // root) compile the style.
+        const entries = compiled[dir] || compiled.ltr;
+        entries.forEach(
+          ([property, value, identifier, conditionKey, group]) => {
+            addToCache(identifier, property, value);
+            if (process.env.NODE_ENV !== 'production') {
+              recordDeclaration(
+                identifier,
+                property,
+                value,
+                conditionKey,
+                group
+              );
+            }
+          }
+        );
+      } else {
+        insertCachedAtomic(i18nStyle(flattenStyle(id), dir === 'rtl'));
+      }
       inserted[dir][id] = true;
     }
   }
 
   /**
-   * Resolves a React Native style object to DOM attributes
+   * Resolves a React Native style object to DOM attributes. Start and end
+   * styles are resolved for the direction of the element if it is known (see
+   * 'LocaleProvider'), otherwise for the global direction.
    */
-  function resolve(style, classList) {
+  function resolve(style, classList, direction) {
+    if (prefixer == null && scalableUnits === undefined) {
+      return _resolve(style, classList, direction);
+    }
+    // Compile with the prefixes and units of the resolver
+    const resolveWithUnits = () =>
+      scalableUnits !== undefined
+        ? withScalableUnits(scalableUnits, () =>
+            _resolve(style, classList, direction)
+          )
+        : _resolve(style, classList, direction);
+    return prefixer != null
+      ? withPrefixer(prefixer, resolveWithUnits)
+      : resolveWithUnits();
+  }
+
+  function _resolve(style, classList, direction) {
+    const dir = getDirection(direction);
+    if (metrics != null) {
+      metrics.resolveCalls += 1;
+    }
+    insertRegisteredRules();
     const nextClassList = [];
     let props = {};
 
@@ -86,11 +498,11 @@ export default function createStyleResolver() {
         if (identifier) {
           if (
             inserted.css[identifier] == null &&
-            resolved.css[identifier] != null
+            registeredCSS[identifier] != null
           ) {
-            const item = resolved.css[identifier];
+            const item = registeredCSS[identifier];
             item.rules.forEach((rule) => {
-              sheet.insert(rule, item.group);
+              insertRule(rule, item.group);
             });
             inserted.css[identifier] = true;
           }
@@ -102,12 +514,12 @@ export default function createStyleResolver() {
 
     if (typeof style === 'number') {
       // fast and cachable
-      _injectRegisteredStyle(style);
+      _injectRegisteredStyle(style, dir);
       const key = createCacheKey(style);
-      props = _resolveStyle(style, key);
+      props = _resolveStyle(style, key, dir);
     } else if (!Array.isArray(style)) {
       // resolve a plain RN style object
-      props = _resolveStyle(style);
+      props = _resolveStyle(style, null, dir);
     } else {
       // flatten the style array
       // cache resolved props when all styles are registered
@@ -123,11 +535,11 @@ export default function createStyleResolver() {
           if (isArrayOfNumbers) {
             cacheKey += id + '-';
           }
-          _injectRegisteredStyle(id);
+          _injectRegisteredStyle(id, dir);
         }
       }
       const key = isArrayOfNumbers ? createCacheKey(cacheKey) : null;
-      props = _resolveStyle(flatArray, key);
+      props = _resolveStyle(flatArray, key, dir);
     }
 
     nextClassList.push(...props.classList);
@@ -139,24 +551,70 @@ export default function createStyleResolver() {
     if (props.style) {
       finalProps.style = props.style;
     }
+    if (process.env.NODE_ENV !== 'production') {
+      const styles = Array.isArray(style) ? flattenArray(style) : [style];
+      styles.forEach((item) => {
+        if (typeof item === 'number') {
+          validateStyle(StyleObjectRegistry.getByID(item));
+        } else if (item != null && typeof item === 'object') {
+          validateStyle(item);
+        }
+      });
+    }
 
     return finalProps;
   }
 
   /**
-   * Resolves a React Native style object
+   * Resolves the styles nested within a condition to classes
    */
-  function _resolveStyle(style, key) {
-    const { isRTL } = Localization;
-    const dir = isRTL ? 'rtl' : 'ltr';
+  function _resolveConditionalStyle(condition, originalStyle, classList) {
+    const conditionKey = getConditionKey(condition);
+    const style = preprocess(originalStyle);
+    Object.keys(style)
+      .sort()
+      .forEach((prop) => {
+        const value = style[prop];
+        if (value != null) {
+          if (isConditionKey(prop)) {
+            const nextCondition = createCondition(condition, prop);
+            if (nextCondition != null) {
+              _resolveConditionalStyle(nextCondition, value, classList);
+            }
+          } else {
+            const className = getClassName(prop, value, conditionKey);
+            if (className) {
+              classList.push(className);
+            } else {
+              insertAtomic({ [prop]: value }, classList, condition);
+            }
+          }
+        }
+      });
+  }
 
+  /**
+   * Resolves a React Native style object
+   */
+  function _resolveStyle(style, key, dir) {
     // faster: memoized
-    if (key != null && resolved[dir][key] != null) {
-      return resolved[dir][key];
+    if (key != null) {
+      const props = resolved[dir].get(key);
+      if (metrics != null) {
+        if (props != null) {
+          metrics.resolvedCacheHits += 1;
+        } else {
+          metrics.resolvedCacheMisses += 1;
+        }
+      }
+      if (props != null) {
+        return props;
+      }
     }
 
     const flatStyle = flattenStyle(style);
-    const localizedStyle = i18nStyle(flatStyle);
+    const localizedStyle = preprocess(i18nStyle(flatStyle, dir === 'rtl'));
+    let variables = null;
 
     // slower: convert style object to props and cache
     const props = Object.keys(localizedStyle)
@@ -164,7 +622,11 @@ export default function createStyleResolver() {
       .reduce(
         (props, styleProp) => {
           const value = localizedStyle[styleProp];
-          if (value != null) {
+          if (value != null && isConditionKey(styleProp)) {
+            // Conditional styles can only be applied using classes
+            const condition = createCondition(null, styleProp);
+            _resolveConditionalStyle(condition, value, props.classList);
+          } else if (value != null) {
             const className = getClassName(styleProp, value);
             if (className) {
               props.classList.push(className);
@@ -176,22 +638,44 @@ export default function createStyleResolver() {
                 styleProp === 'animationKeyframes' ||
                 styleProp === 'placeholderTextColor' ||
                 styleProp === 'pointerEvents' ||
-                styleProp === 'scrollbarWidth'
+                styleProp === 'scrollbarWidth' ||
+                isDynamicColor(value)
               ) {
-                const a = atomic({ [styleProp]: value });
-                Object.keys(a).forEach((key) => {
-                  const { identifier, rules } = a[key];
-                  props.classList.push(identifier);
-                  rules.forEach((rule) => {
-                    sheet.insert(rule, STYLE_GROUPS.atomic);
-                  });
-                });
+                insertAtomic({ [styleProp]: value }, props.classList);
               } else {
-                if (!props.style) {
-                  props.style = {};
+                const variableValue =
+                  dynamicProperties.indexOf(styleProp) > -1
+                    ? createVariableValue(styleProp, value)
+                    : null;
+                if (variableValue != null) {
+                  if (metrics != null) {
+                    metrics.variableBindings += 1;
+                  }
+                  if (!variables) {
+                    variables = {};
+                  }
+                  props.classList.push(getVariableClassName(styleProp));
+                  variables[createVariableName(styleProp)] = variableValue;
+                } else {
+                  if (process.env.NODE_ENV !== 'production') {
+                    if (strict) {
+                      console.error(
+                        `Style "${styleProp}: ${String(
+                          value
+                        )}" is applied as an inline style, ` +
+                          'which is not allowed in strict mode. Create the style with "StyleSheet.create".'
+                      );
+                    }
+                  }
+                  if (metrics != null) {
+                    metrics.inlineStyleFallbacks += 1;
+                  }
+                  if (!props.style) {
+                    props.style = {};
+                  }
+                  // 4x slower render
+                  props.style[styleProp] = value;
                 }
-                // 4x slower render
-                props.style[styleProp] = value;
               }
             }
           }
@@ -203,52 +687,200 @@ export default function createStyleResolver() {
     if (props.style) {
       props.style = inline(props.style);
     }
+    if (variables) {
+      props.style = { ...props.style, ...variables };
+    }
 
     if (key != null) {
-      resolved[dir][key] = props;
+      resolved[dir].set(key, props);
     }
 
     return props;
   }
 
+  function createStyleSheetResult(id, textContent) {
+    const result = { id, textContent };
+    if (nonce != null) {
+      result.nonce = nonce;
+    }
+    if (trustedTypesPolicy != null) {
+      result.trustedHTML = trustedTypesPolicy.createHTML(textContent);
+    }
+    return result;
+  }
+
   return {
+    /**
+     * Update the options of an existing resolver (e.g., the shared resolver).
+     * The style element is created again if the nonce changes.
+     */
+    configure(nextOptions) {
+      if (
+        nextOptions.adoptedStyleSheets != null &&
+        nextOptions.adoptedStyleSheets !== adoptedStyleSheets
+      ) {
+        const cssStyleSheet = ssr ? null : getCSSStyleSheet();
+        adoptedStyleSheets = nextOptions.adoptedStyleSheets;
+        // The rules of a style element are merged into the adopted style sheet
+        // (see 'init'), and vice versa
+        if (!ssr) {
+          init();
+          if (
+            !adoptedStyleSheets &&
+            cssStyleSheet != null &&
+            cssStyleSheet !== getCSSStyleSheet()
+          ) {
+            mergeSheet(cssStyleSheet);
+            removeConstructedStyleSheet(STYLE_ELEMENT_ID, root);
+          }
+        }
+      }
+      if (nextOptions.dynamicProperties != null) {
+        dynamicProperties = nextOptions.dynamicProperties;
+      }
+      if (nextOptions.layers != null && nextOptions.layers !== layers) {
+        layers = nextOptions.layers;
+        if (layers !== hasLayers) {
+          // Rules without layers take precedence over rules in layers, so
+          // the rules inserted so far are removed
+          const cssStyleSheet = ssr ? null : getCSSStyleSheet();
+          if (cssStyleSheet != null) {
+            for (let i = cssStyleSheet.cssRules.length - 1; i >= 0; i -= 1) {
+              cssStyleSheet.deleteRule(i);
+            }
+          }
+          init();
+        }
+      }
+      if (nextOptions.instrumentation != null) {
+        metrics = nextOptions.instrumentation ? createMetrics() : null;
+      }
+      if (nextOptions.strict != null) {
+        strict = nextOptions.strict;
+      }
+      if (nextOptions.trustedTypesPolicy !== undefined) {
+        trustedTypesPolicy = nextOptions.trustedTypesPolicy;
+      }
+      if (nextOptions.nonce !== undefined && nextOptions.nonce !== nonce) {
+        nonce = nextOptions.nonce;
+        init();
+      }
+    },
     getStyleSheet() {
+      insertRegisteredRules();
       const textContent = sheet.getTextContent();
-      // Reset state on the server so critical css is always the result
-      if (!supportsDOM()) {
+      // Reset state of the shared resolver on the server so critical css is
+      // always the result
+      if (!supportsDOM() && !ssr) {
         init();
       }
 
-      return {
-        id: STYLE_ELEMENT_ID,
-        textContent
-      };
+      return createStyleSheetResult(STYLE_ELEMENT_ID, textContent);
+    },
+    /**
+     * Get the rules inserted since the last flush, e.g., to stream critical
+     * css alongside streamed HTML. The first chunk uses the id of the main
+     * style sheet and later chunks are merged into it on the client.
+     */
+    flushStyleSheet() {
+      insertRegisteredRules();
+      const textContent = sheet.flush();
+      const id =
+        flushCount === 0
+          ? STYLE_ELEMENT_ID
+          : `${STYLE_ELEMENT_ID}-${flushCount}`;
+      if (textContent !== '') {
+        flushCount += 1;
+      }
+
+      return createStyleSheetResult(id, textContent);
     },
-    createCSS(rules, group) {
+    createCSS(rules, group, compiledRules) {
       const result = {};
       Object.keys(rules).forEach((name) => {
-        const style = rules[name];
-        const compiled = classic(style, name);
+        // The rules of styles extracted at build-time are already compiled
+        const compiled =
+          compiledRules != null && compiledRules[name] != null
+            ? { [name]: compiledRules[name] }
+            : classic(rules[name], name);
 
         Object.keys(compiled).forEach((key) => {
           const { identifier, rules } = compiled[key];
-          resolved.css[identifier] = {
-            group: group || STYLE_GROUPS.classic,
-            rules
-          };
+          const item = { group: group || STYLE_GROUPS.classic, rules };
+          registeredCSS[identifier] = item;
+          if (process.env.NODE_ENV !== 'production') {
+            recordClassicDeclarations(identifier, item.group, rules);
+          }
           result[name] = identifier;
         });
       });
       return result;
     },
+    /**
+     * The counters since instrumentation was enabled, or null.
+     */
+    getMetrics() {
+      return metrics != null
+        ? { ...metrics, rulesInserted: { ...metrics.rulesInserted } }
+        : null;
+    },
+    release,
     resolve,
-    sheet
+    retain,
+    get sheet() {
+      return sheet;
+    }
   };
 }
 
 /**
  * Misc helpers
  */
+
+// The static style sheet is loaded by the document (or shadow root) using its
+// id (see 'extract-styles')
+const hasStaticStyleSheet = (root) =>
+  supportsDOM() &&
+  (root != null ? root : document).getElementById(STATIC_STYLE_ELEMENT_ID) !=
+    null;
+
+/**
+ * compileTime: milliseconds spent compiling atomic rules
+ * inlineStyleFallbacks: declarations applied as inline styles
+ * rulesInserted: rules added to the style sheet, by group (not rules it already
+ * contains or rejects)
+ * variableBindings: declarations bound to CSS custom properties
+ */
+const createMetrics = () => ({
+  classNameCacheHits: 0,
+  classNameCacheMisses: 0,
+  compileTime: 0,
+  inlineStyleFallbacks: 0,
+  resolveCalls: 0,
+  resolvedCacheHits: 0,
+  resolvedCacheMisses: 0,
+  rulesInserted: {},
+  variableBindings: 0
+});
+
+const now = () =>
+  typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now();
+
+const keyframesPattern = /@(-\w+-)?keyframes /;
+
+// Styles are resolved once for both directions with logical properties
+const getDirection = (direction) => {
+  if (usesLogicalProperties()) {
+    return 'ltr';
+  }
+  if (direction != null) {
+    return direction;
+  }
+  return Localization.isRTL ? 'rtl' : 'ltr';
+};
+
 const createCacheKey = (id) => {
   const prefix = 'rn';
   return `${prefix}-${id}`;
@@ -17,9 +17,18 @@ import styleResolver from './styleResolver';
 const css = {
   /**
    * const classes = css.create({ base: {}, extra: {} })
+   *
+   * The third argument is the compiled rules of each name, which the
+   * 'extract-styles' plugin adds.
    */
-  create(rules: { [key: string]: mixed }, group?: number) {
-    return styleResolver.createCSS(rules, group);
+  create(
+    rules: { [key: string]: mixed },
+    group?: ?number,
+    compiledRules?: {
+      [key: string]: { identifier: string, rules: Array<string> }
+    }
+  ) {
+    return styleResolver.createCSS(rules, group, compiledRules);
   }
 };
 
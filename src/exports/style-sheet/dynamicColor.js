@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type { ColorValue } from '../../__types__';
+
+import {
+  colorSchemeAttributeName,
+  contrastAttributeName,
+  styleRootAttributeName
+} from '../appearance';
+
+export type DynamicColor = {|
+  dark?: ColorValue,
+  highContrast?: ColorValue,
+  light: ColorValue
+|};
+
+const dynamicColors: WeakSet<Object> = new WeakSet();
+
+/**
+ * A color that depends on the color scheme and contrast preferences.
+ *
+ * const styles = StyleSheet.create({
+ *   text: { color: StyleSheet.dynamicColor({ light: 'black', dark: 'white' }) }
+ * });
+ *
+ * The preferences of the system are followed unless they are overridden by
+ * 'Appearance'. Dynamic colors are compiled to classes, so they can't be used
+ * in inline styles. A dynamic 'shadowColor' or 'textShadowColor' creates a
+ * shadow for each color.
+ */
+export function dynamicColor(colors: DynamicColor): DynamicColor {
+  if (process.env.NODE_ENV !== 'production') {
+    if (colors.light == null) {
+      console.error('StyleSheet.dynamicColor: a "light" color is required.');
+    }
+  }
+  const value = { ...colors };
+  dynamicColors.add(value);
+  return value;
+}
+
+export function isDynamicColor(value: mixed): boolean {
+  return value != null && typeof value === 'object' && dynamicColors.has(value);
+}
+
+// Scopes match the root element, or the element that contains the tree of a
+// shadow root (see 'StyleRoot')
+function createScope(condition: string): string {
+  return `:where(:root${condition},[${styleRootAttributeName}]${condition})`;
+}
+
+/**
+ * Call 'callback' with each color of a dynamic color, the scope it applies
+ * to, and the media query it applies within, in order of precedence (lowest
+ * first). Scopes have zero specificity so the precedence of dynamic colors
+ * follows the group of the rule, like other atomic styles.
+ */
+export function forEachDynamicColor(
+  value: DynamicColor,
+  callback: (color: ColorValue, scope: ?string, media: ?string) => void
+) {
+  const { dark, highContrast, light } = value;
+  callback(light, null, null);
+  if (dark != null) {
+    callback(
+      dark,
+      createScope(`:not([${colorSchemeAttributeName}])`),
+      '(prefers-color-scheme: dark)'
+    );
+    callback(dark, createScope(`[${colorSchemeAttributeName}="dark"]`), null);
+  }
+  if (highContrast != null) {
+    callback(
+      highContrast,
+      createScope(`:not([${contrastAttributeName}])`),
+      '(prefers-contrast: more)'
+    );
+    callback(
+      highContrast,
+      createScope(`[${contrastAttributeName}="more"]`),
+      null
+    );
+  }
+}
@@ -9,6 +9,21 @@
  */
 
 import StyleObjectRegistry from './StyleObjectRegistry';
+import { isConditionKey } from './conditions';
+
+// Conditional styles are merged like the styles they're nested in
+function mergeConditionalStyle(target, source) {
+  const result = { ...target };
+  for (const key in source) {
+    const value = source[key];
+    if (isConditionKey(key) && result[key] != null && value != null) {
+      result[key] = mergeConditionalStyle(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
 
 function getStyle(style) {
   if (typeof style === 'number') {
@@ -38,7 +53,11 @@ function flattenStyle(style: ?any): ?Object {
     if (computedStyle) {
       for (const key in computedStyle) {
         const value = computedStyle[key];
-        result[key] = value;
+        if (isConditionKey(key) && result[key] != null && value != null) {
+          result[key] = mergeConditionalStyle(result[key], value);
+        } else {
+          result[key] = value;
+        }
       }
     }
   }
@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import hyphenateStyleName from '#internal/hyphenateStyleName';
+import { registerRule } from './registeredRules';
+import { STYLE_GROUPS } from './constants';
+
+type FontFaceDescriptors = {
+  fontDisplay?: 'auto' | 'block' | 'fallback' | 'optional' | 'swap',
+  fontFamily: string,
+  fontStretch?: string,
+  fontStyle?: string,
+  fontWeight?: number | string,
+  src: string | Array<string>,
+  unicodeRange?: string,
+  ...
+};
+
+function stringifyDescriptor(name: string, value: any): string {
+  if (name === 'fontFamily') {
+    const first = value.charAt(0);
+    return first === '"' || first === "'" ? value : `"${value}"`;
+  }
+  // Multiple sources are listed in order of preference
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+/**
+ * Define a font, e.g.,
+ *
+ * const fontFamily = StyleSheet.createFontFace({
+ *   fontFamily: 'Inter',
+ *   fontWeight: 400,
+ *   src: 'url(/fonts/inter.woff2) format("woff2")'
+ * });
+ *
+ * The '@font-face' rule is included in every style sheet. Returns the name
+ * of the font family, so that each weight and style of a font can be defined
+ * with the same name.
+ */
+export function createFontFace(descriptors: FontFaceDescriptors): string {
+  const declarations = Object.keys(descriptors)
+    .filter((name) => descriptors[name] != null)
+    .sort()
+    .map(
+      (name) =>
+        `${hyphenateStyleName(name)}:${stringifyDescriptor(
+          name,
+          descriptors[name]
+        )}`
+    )
+    .join(';');
+  registerRule(`@font-face{${declarations};}`, STYLE_GROUPS.fontFace);
+  return descriptors.fontFamily;
+}
@@ -8,6 +8,7 @@
  */
 
 import { Localization } from '../localization';
+import { isConditionKey } from './conditions';
 import multiplyStyleLengthValue from '#internal/multiplyStyleLengthValue';
 
 const emptyObject = {};
@@ -75,13 +76,93 @@ const PROPERTIES_VALUE = {
   textAlign: true
 };
 
+// Map of I18N property names to their native CSS logical equivalent.
+const PROPERTIES_LOGICAL = {
+  borderTopStartRadius: 'borderStartStartRadius',
+  borderTopEndRadius: 'borderStartEndRadius',
+  borderBottomStartRadius: 'borderEndStartRadius',
+  borderBottomEndRadius: 'borderEndEndRadius',
+  borderStartColor: 'borderInlineStartColor',
+  borderStartStyle: 'borderInlineStartStyle',
+  borderStartWidth: 'borderInlineStartWidth',
+  borderEndColor: 'borderInlineEndColor',
+  borderEndStyle: 'borderInlineEndStyle',
+  borderEndWidth: 'borderInlineEndWidth',
+  end: 'insetInlineEnd',
+  marginStart: 'marginInlineStart',
+  marginEnd: 'marginInlineEnd',
+  paddingStart: 'paddingInlineStart',
+  paddingEnd: 'paddingInlineEnd',
+  start: 'insetInlineStart'
+};
+
+let logicalProperties = false;
+
+// Map of the names of keyframes to the names of their flipped keyframes (see
+// 'createKeyframes')
+const flippedKeyframes: { [name: string]: string } = {};
+
+export function setFlippedKeyframes(name: string, flippedName: string) {
+  flippedKeyframes[name] = flippedName;
+}
+
+const flipKeyframes = (value) =>
+  typeof value === 'string' && flippedKeyframes.hasOwnProperty(value)
+    ? flippedKeyframes[value]
+    : value;
+
+/**
+ * Compile start/end properties and values to native CSS logical properties
+ * rather than flipping them for the writing direction. The 'dir' attribute
+ * then drives layout, and styles are resolved once for both directions.
+ * Horizontal translations and shadow offsets are not flipped in this mode.
+ * Must be set before any style is resolved.
+ */
+export function setLogicalProperties(value: boolean) {
+  logicalProperties = value;
+}
+
+export function usesLogicalProperties(): boolean {
+  return logicalProperties;
+}
+
+function logicalStyle(style) {
+  const nextStyle = {};
+  for (const prop in style) {
+    if (!Object.prototype.hasOwnProperty.call(style, prop)) {
+      continue;
+    }
+    const value = style[prop];
+    if (isConditionKey(prop)) {
+      nextStyle[prop] = logicalStyle(value);
+    } else if (PROPERTIES_LOGICAL.hasOwnProperty(prop)) {
+      nextStyle[PROPERTIES_LOGICAL[prop]] = value;
+    } else if (
+      (prop === 'clear' || prop === 'float') &&
+      (value === 'start' || value === 'end')
+    ) {
+      nextStyle[prop] = `inline-${value}`;
+    } else if (
+      prop === 'transitionProperty' &&
+      PROPERTIES_LOGICAL.hasOwnProperty(value)
+    ) {
+      nextStyle[prop] = PROPERTIES_LOGICAL[value];
+    } else {
+      nextStyle[prop] = value;
+    }
+  }
+  return nextStyle;
+}
+
 // Invert the sign of a numeric-like value
 const additiveInverse = (value: String | Number) =>
   multiplyStyleLengthValue(value, -1);
 
-const i18nStyle = (originalStyle) => {
-  const { isRTL } = Localization;
+const i18nStyle = (originalStyle, isRTL = Localization.isRTL) => {
   const style = originalStyle || emptyObject;
+  if (logicalProperties) {
+    return logicalStyle(style);
+  }
   const frozenProps = {};
   const nextStyle = {};
 
@@ -120,9 +201,27 @@ const i18nStyle = (originalStyle) => {
     }
 
     // Create finalized style
-    if (isRTL && prop === 'textShadowOffset') {
-      nextStyle[prop] = value;
-      nextStyle[prop].width = additiveInverse(value.width);
+    if (isConditionKey(prop)) {
+      nextStyle[prop] = i18nStyle(value, isRTL);
+    } else if (isRTL && prop === 'transform' && Array.isArray(value)) {
+      // BiDi flip horizontal translations
+      nextStyle[prop] = value.map((transform) =>
+        transform.translateX != null
+          ? { translateX: additiveInverse(transform.translateX) }
+          : transform
+      );
+    } else if (
+      isRTL &&
+      (prop === 'shadowOffset' || prop === 'textShadowOffset') &&
+      value != null
+    ) {
+      // Copy the offset so the original style is not modified
+      nextStyle[prop] = { ...value, width: additiveInverse(value.width || 0) };
+    } else if (isRTL && prop === 'animationKeyframes' && value != null) {
+      // BiDi flip registered keyframes
+      nextStyle[prop] = Array.isArray(value)
+        ? value.map(flipKeyframes)
+        : flipKeyframes(value);
     } else if (!frozenProps[prop]) {
       nextStyle[prop] = value;
     }
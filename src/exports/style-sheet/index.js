@@ -9,10 +9,11 @@
 
 import supportsDOM from '#internal/supportsDOM';
 import StyleSheet from './StyleSheet';
+import { resolveStyle } from './inspect';
 
-// allow original component styles to be inspected in React Dev Tools
+// allow the applied styles of components to be inspected in React Dev Tools
 if (supportsDOM() && window.__REACT_DEVTOOLS_GLOBAL_HOOK__) {
-  window.__REACT_DEVTOOLS_GLOBAL_HOOK__.resolveRNStyle = StyleSheet.flatten;
+  window.__REACT_DEVTOOLS_GLOBAL_HOOK__.resolveRNStyle = resolveStyle;
 }
 
 export { StyleSheet };
@@ -0,0 +1,232 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type { LRUCache } from '#internal/createLRUCache';
+import type { StyleSource } from './StyleObjectRegistry';
+
+import createLRUCache from '#internal/createLRUCache';
+import StyleObjectRegistry, { getSourceLabel } from './StyleObjectRegistry';
+import flattenStyle from './flattenStyle';
+import i18nStyle from './i18nStyle';
+import { preprocess } from './createReactDOMStyle';
+import { STYLE_GROUPS } from './constants';
+
+type ClassInfo = {|
+  className: string,
+  condition: ?string,
+  property: ?string,
+  value: ?string
+|};
+
+type Inspection = {|
+  classes: Array<ClassInfo>,
+  declarations: { [property: string]: string },
+  sources: Array<{| ...StyleSource, style: Object |}>
+|};
+
+type Declaration = {|
+  condition: ?string,
+  group: number,
+  property: string,
+  value: string
+|};
+
+// Maximum number of recorded atomic classes, as dynamic styles can create any
+// number of them
+const maxDeclarations = 5000;
+
+// The declaration of each atomic class that was resolved, in development
+const declarations: LRUCache<string, Declaration> = createLRUCache(
+  maxDeclarations
+);
+
+// The declarations of each class of 'css.create', in development
+const classicDeclarations: {
+  [className: string]: {| group: number, style: { [string]: string } |}
+} = {};
+
+export const sourceAttributeName = 'data-stylesource';
+
+/**
+ * Record the declaration of an atomic class. The 'property' of conditional
+ * classes is prefixed by the condition key (see 'compile.atomic').
+ */
+export function recordDeclaration(
+  className: string,
+  property: ?string,
+  value: ?string,
+  conditionKey?: string = '',
+  group?: number = STYLE_GROUPS.atomic
+) {
+  if (
+    property != null &&
+    value != null &&
+    declarations.get(className) == null
+  ) {
+    declarations.set(className, {
+      condition: conditionKey !== '' ? conditionKey : null,
+      group,
+      property: property.slice(conditionKey.length),
+      value
+    });
+  }
+}
+
+/**
+ * Record the declarations of a class of 'css.create' from its rules.
+ * Vendor-prefixed declarations are ignored.
+ */
+export function recordClassicDeclarations(
+  className: string,
+  group: number,
+  rules: Array<string>
+) {
+  const selector = `.${className}{`;
+  const rule = rules.filter((rule) => rule.indexOf(selector) === 0)[0];
+  if (rule != null) {
+    const style = {};
+    rule
+      .slice(selector.length, rule.lastIndexOf('}'))
+      .split(';')
+      .forEach((declaration) => {
+        const index = declaration.indexOf(':');
+        const name = declaration.slice(0, index);
+        if (index > 0 && name[0] !== '-') {
+          style[camelize(name)] = declaration.slice(index + 1);
+        }
+      });
+    classicDeclarations[className] = { group, style };
+  }
+}
+
+// Labels are separated by spaces, so the spaces of a label (e.g., in the path
+// of its file) are escaped
+function encodeLabel(label: string): string {
+  return label.replace(/%/g, '%25').replace(/ /g, '%20');
+}
+
+function decodeLabel(label: string): string {
+  return label.replace(/%20/g, ' ').replace(/%25/g, '%');
+}
+
+/**
+ * The labels of the registered styles of a style prop, e.g., 'Button.root'.
+ */
+export function getSourceLabels(ids: Array<any>): string {
+  const labels = [];
+  ids.forEach((id) => {
+    if (typeof id === 'number') {
+      const source = StyleObjectRegistry.getSourceByID(id);
+      if (source != null) {
+        const label = encodeLabel(getSourceLabel(source));
+        if (labels.indexOf(label) === -1) {
+          labels.push(label);
+        }
+      }
+    }
+  });
+  return labels.join(' ');
+}
+
+function camelize(property: string): string {
+  return property.replace(/-([a-z])/g, (m, char) => char.toUpperCase());
+}
+
+/**
+ * Map an element rendered in development back to the styles that produced
+ * it. Returns the declaration of each class, the declarations that apply to
+ * the element without any condition (including those of 'css.create' classes
+ * and inline styles), and the 'StyleSheet.create' objects that were used (if
+ * their labels are unique). Like the rules in the style sheet, a declaration
+ * of a higher group takes precedence (see 'STYLE_GROUPS').
+ */
+export default function inspect(element: HTMLElement): Inspection {
+  const result = { classes: [], declarations: {}, sources: [] };
+  if (process.env.NODE_ENV === 'production') {
+    return result;
+  }
+
+  // The group of each declaration that applies
+  const groups = {};
+  function addDeclaration(property, value, group) {
+    // Within a group, the order of rules isn't known, so the last class wins
+    if (groups[property] == null || group >= groups[property]) {
+      groups[property] = group;
+      result.declarations[property] = value;
+    }
+  }
+
+  const classList = (element.getAttribute('class') || '').split(/\s+/);
+  classList.forEach((className) => {
+    if (className === '') {
+      return;
+    }
+    const declaration = declarations.get(className);
+    const classic = classicDeclarations[className];
+    if (declaration == null) {
+      result.classes.push({
+        className,
+        condition: null,
+        property: null,
+        value: null
+      });
+      if (classic != null) {
+        Object.keys(classic.style).forEach((property) => {
+          addDeclaration(property, classic.style[property], classic.group);
+        });
+      }
+    } else {
+      const { condition, group, property, value } = declaration;
+      result.classes.push({ className, condition, property, value });
+      if (condition == null) {
+        addDeclaration(property, value, group);
+      }
+    }
+  });
+
+  // Inline styles take precedence over classes
+  const inlineStyle: any = element.style;
+  if (inlineStyle != null) {
+    for (let i = 0; i < inlineStyle.length; i += 1) {
+      const name = inlineStyle[i];
+      result.declarations[camelize(name)] = inlineStyle.getPropertyValue(name);
+    }
+  }
+
+  const labels = element.getAttribute(sourceAttributeName);
+  if (labels != null) {
+    labels.split(' ').forEach((encodedLabel) => {
+      const label = decodeLabel(encodedLabel);
+      const ids = StyleObjectRegistry.getIDsBySourceLabel(label);
+      // A label that identifies several styles (e.g., 'root' without a name
+      // or file) can't be mapped back to the style that was used
+      if (ids.length === 1) {
+        const id = ids[0];
+        const source = StyleObjectRegistry.getSourceByID(id);
+        if (source != null) {
+          result.sources.push({
+            ...source,
+            style: StyleObjectRegistry.getByID(id)
+          });
+        }
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * The style that is applied for a style prop, used by React DevTools to
+ * display the styles of a component. Registered styles are flattened, logical
+ * properties are resolved for the writing direction, and shadows are compiled.
+ */
+export function resolveStyle(style: any): Object {
+  return preprocess(i18nStyle(flattenStyle(style)));
+}
@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import { createKeyframes as compileKeyframes } from './compile';
+import i18nStyle, { setFlippedKeyframes } from './i18nStyle';
+import { registerRule } from './registeredRules';
+import { STYLE_GROUPS } from './constants';
+
+type Keyframes = { [step: string]: Object };
+
+const names: WeakMap<Keyframes, string> = new WeakMap();
+
+function localizeKeyframes(keyframes: Keyframes, isRTL: boolean): Keyframes {
+  const result = {};
+  Object.keys(keyframes).forEach((step) => {
+    result[step] = i18nStyle(keyframes[step], isRTL);
+  });
+  return result;
+}
+
+/**
+ * Create keyframes that can be used by any number of styles.
+ *
+ * const fadeIn = StyleSheet.createKeyframes({ from: { opacity: 0 }, to: { opacity: 1 } });
+ * const styles = StyleSheet.create({ root: { animationKeyframes: fadeIn } });
+ *
+ * The keyframes are compiled once and their rules are included in every
+ * style sheet. If the keyframes use start/end properties or horizontal
+ * translations, they are flipped by a second set of keyframes that is used
+ * by styles resolved for RTL.
+ */
+export function createKeyframes(keyframes: Keyframes): string {
+  const cachedName = names.get(keyframes);
+  if (cachedName != null) {
+    return cachedName;
+  }
+  const ltr = compileKeyframes(localizeKeyframes(keyframes, false));
+  const rtl = compileKeyframes(localizeKeyframes(keyframes, true));
+  ltr.rules.forEach((rule) => {
+    registerRule(rule, STYLE_GROUPS.keyframes);
+  });
+  if (rtl.identifier !== ltr.identifier) {
+    rtl.rules.forEach((rule) => {
+      registerRule(rule, STYLE_GROUPS.keyframes);
+    });
+    setFlippedKeyframes(ltr.identifier, rtl.identifier);
+  }
+  names.set(keyframes, ltr.identifier);
+  return ltr.identifier;
+}
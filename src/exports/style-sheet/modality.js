@@ -18,136 +18,176 @@
  * @noflow
  */
 
-import { addModalityListener, getModality } from '#internal/modality';
+import {
+  addModalityDocument,
+  addModalityListener,
+  getModality
+} from '#internal/modality';
+import getActiveElement from '#internal/getActiveElement';
+import getEventTarget from '#internal/getEventTarget';
 import supportsDOM from '#internal/supportsDOM';
 
-const focusVisibleAttributeName = 'data-focusvisible-polyfill';
+export const focusVisibleAttributeName = 'data-focusvisible-polyfill';
 
 const rule = `:focus:not([${focusVisibleAttributeName}]){outline: none;}`;
 
-const modality = (insertRule) => {
-  insertRule(rule);
+let isListening = false;
+// The documents with listeners. Documents (e.g., of frames) are not retained.
+const documents = new WeakSet();
+// The focused element of each document, which is the only element that can
+// have the attribute (it is removed on blur)
+const focusedElements = new Set();
 
-  if (!supportsDOM()) {
-    return;
+const inputTypesWhitelist = {
+  text: true,
+  search: true,
+  url: true,
+  tel: true,
+  email: true,
+  password: true,
+  number: true,
+  date: true,
+  month: true,
+  week: true,
+  time: true,
+  datetime: true,
+  'datetime-local': true
+};
+
+/**
+ * Helper function for legacy browsers and iframes which sometimes focus
+ * elements like document, body, and non-interactive SVG.
+ */
+function isValidFocusTarget(el) {
+  if (
+    el &&
+    el.nodeType !== 9 /* DOCUMENT_NODE */ &&
+    el.nodeName !== 'HTML' &&
+    el.nodeName !== 'BODY' &&
+    'classList' in el &&
+    'contains' in el.classList
+  ) {
+    return true;
   }
+  return false;
+}
 
-  const inputTypesWhitelist = {
-    text: true,
-    search: true,
-    url: true,
-    tel: true,
-    email: true,
-    password: true,
-    number: true,
-    date: true,
-    month: true,
-    week: true,
-    time: true,
-    datetime: true,
-    'datetime-local': true
-  };
-
-  /**
-   * Helper function for legacy browsers and iframes which sometimes focus
-   * elements like document, body, and non-interactive SVG.
-   */
-  function isValidFocusTarget(el) {
-    if (
-      el &&
-      el !== document &&
-      el.nodeName !== 'HTML' &&
-      el.nodeName !== 'BODY' &&
-      'classList' in el &&
-      'contains' in el.classList
-    ) {
-      return true;
-    }
-    return false;
+/**
+ * Computes whether the given element should automatically trigger the
+ * `focus-visible` attribute being added, i.e. whether it should always match
+ * `:focus-visible` when focused.
+ */
+function focusTriggersKeyboardModality(el) {
+  const type = el.type;
+  const tagName = el.tagName;
+  const isReadOnly = el.readOnly;
+  if (tagName === 'INPUT' && inputTypesWhitelist[type] && !isReadOnly) {
+    return true;
+  }
+  if (tagName === 'TEXTAREA' && !isReadOnly) {
+    return true;
+  }
+  if (el.isContentEditable) {
+    return true;
   }
+  return false;
+}
 
-  /**
-   * Computes whether the given element should automatically trigger the
-   * `focus-visible` attribute being added, i.e. whether it should always match
-   * `:focus-visible` when focused.
-   */
-  function focusTriggersKeyboardModality(el) {
-    const type = el.type;
-    const tagName = el.tagName;
-    const isReadOnly = el.readOnly;
-    if (tagName === 'INPUT' && inputTypesWhitelist[type] && !isReadOnly) {
-      return true;
-    }
-    if (tagName === 'TEXTAREA' && !isReadOnly) {
-      return true;
-    }
-    if (el.isContentEditable) {
-      return true;
-    }
-    return false;
+/**
+ * Add the `focus-visible` attribute to the given element if it was not added by
+ * the author.
+ */
+function addFocusVisibleAttribute(el) {
+  if (el.hasAttribute(focusVisibleAttributeName)) {
+    return;
   }
+  el.setAttribute(focusVisibleAttributeName, true);
+}
 
-  /**
-   * Add the `focus-visible` attribute to the given element if it was not added by
-   * the author.
-   */
-  function addFocusVisibleAttribute(el) {
-    if (el.hasAttribute(focusVisibleAttributeName)) {
-      return;
+/**
+ * Remove the `focus-visible` attribute from the given element.
+ */
+function removeFocusVisibleAttribute(el) {
+  el.removeAttribute(focusVisibleAttributeName);
+}
+
+/**
+ * Remove the `focus-visible` attribute from the focused elements.
+ */
+function removeAllFocusVisibleAttributes() {
+  focusedElements.forEach((el) => {
+    removeFocusVisibleAttribute(el);
+  });
+}
+
+/**
+ * On `focus`, add the `focus-visible` attribute to the target if:
+ */
+function onFocus(e) {
+  // The target within a shadow root, rather than its host
+  const target = getEventTarget(e);
+  if (!isValidFocusTarget(target)) {
+    return;
+  }
+  // An element that was removed while focused is not blurred
+  focusedElements.forEach((el) => {
+    if (el.ownerDocument === target.ownerDocument) {
+      focusedElements.delete(el);
     }
-    el.setAttribute(focusVisibleAttributeName, true);
+  });
+  focusedElements.add(target);
+  if (getModality() === 'keyboard' || focusTriggersKeyboardModality(target)) {
+    addFocusVisibleAttribute(target);
   }
+}
 
-  /**
-   * Remove the `focus-visible` attribute from the given element.
-   */
-  function removeFocusVisibleAttribute(el) {
-    el.removeAttribute(focusVisibleAttributeName);
+/**
+ * On `blur`, remove the `focus-visible` attribute from the target.
+ */
+function onBlur(e) {
+  const target = getEventTarget(e);
+  if (!isValidFocusTarget(target)) {
+    return;
   }
-
-  /**
-   * Remove the `focus-visible` attribute from all elements in the document.
-   */
-  function removeAllFocusVisibleAttributes() {
-    const list = document.querySelectorAll(`[${focusVisibleAttributeName}]`);
-    for (let i = 0; i < list.length; i += 1) {
-      removeFocusVisibleAttribute(list[i]);
-    }
+  focusedElements.delete(target);
+  if (target.hasAttribute(focusVisibleAttributeName)) {
+    removeFocusVisibleAttribute(target);
   }
+}
 
-  /**
-   * On `focus`, add the `focus-visible` attribute to the target if:
-   */
-  function onFocus(e) {
-    const { target } = e;
-    if (!isValidFocusTarget(target)) {
-      return;
-    }
-    if (getModality() === 'keyboard' || focusTriggersKeyboardModality(target)) {
-      addFocusVisibleAttribute(target);
-    }
+const modality = (insertRule, root) => {
+  insertRule(rule);
+
+  if (!supportsDOM()) {
+    return;
   }
 
-  /**
-   * On `blur`, remove the `focus-visible` attribute from the target.
-   */
-  function onBlur(e) {
-    const { target } = e;
-    if (!isValidFocusTarget(target)) {
-      return;
-    }
-    if (target.hasAttribute(focusVisibleAttributeName)) {
-      removeFocusVisibleAttribute(target);
-    }
+  const nextRoot = root != null ? root : document;
+  // Events within a shadow root propagate to its document. Every style
+  // resolver needs the rule but each document only needs one set of
+  // listeners.
+  const doc =
+    nextRoot.nodeType === 9 /* DOCUMENT_NODE */
+      ? nextRoot
+      : nextRoot.ownerDocument;
+  if (!documents.has(doc)) {
+    documents.add(doc);
+    addModalityDocument(doc);
+    doc.addEventListener('focus', onFocus, true);
+    doc.addEventListener('blur', onBlur, true);
   }
 
-  document.addEventListener('focus', onFocus, true);
-  document.addEventListener('blur', onBlur, true);
+  if (isListening) {
+    return;
+  }
+  isListening = true;
   addModalityListener(({ activeModality }) => {
     if (activeModality === 'keyboard') {
-      if (isValidFocusTarget(document.activeElement)) {
-        addFocusVisibleAttribute(document.activeElement);
-      }
+      focusedElements.forEach((el) => {
+        if (getActiveElement(el.ownerDocument) === el) {
+          addFocusVisibleAttribute(el);
+        }
+      });
     } else {
       removeAllFocusVisibleAttributes();
     }
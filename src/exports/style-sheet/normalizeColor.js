@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+const hexPattern = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const rgbPattern = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+%?)\s*)?\)$/i;
+
+type RGBA = [number, number, number, number];
+
+function parseColor(color: string): ?RGBA {
+  const value = color.trim();
+  if (value === 'transparent') {
+    return [0, 0, 0, 0];
+  }
+  if (value === 'black') {
+    return [0, 0, 0, 1];
+  }
+  if (value === 'white') {
+    return [255, 255, 255, 1];
+  }
+  const hex = value.match(hexPattern);
+  if (hex != null) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits
+        .split('')
+        .map((digit) => digit + digit)
+        .join('');
+    }
+    const alpha =
+      digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1;
+    return [
+      parseInt(digits.slice(0, 2), 16),
+      parseInt(digits.slice(2, 4), 16),
+      parseInt(digits.slice(4, 6), 16),
+      alpha
+    ];
+  }
+  const rgb = value.match(rgbPattern);
+  if (rgb != null) {
+    const [, r, g, b, a] = rgb;
+    let alpha = 1;
+    if (a != null) {
+      alpha =
+        a.charAt(a.length - 1) === '%' ? parseFloat(a) / 100 : parseFloat(a);
+    }
+    return [parseFloat(r), parseFloat(g), parseFloat(b), alpha];
+  }
+  return null;
+}
+
+/**
+ * Multiply the alpha channel of a color by an opacity, e.g.,
+ * ('#ff000080', 0.5) => 'rgba(255,0,0,0.25)'.
+ * Colors that cannot be parsed (e.g., most named colors and custom properties)
+ * are mixed with 'transparent' instead.
+ */
+export default function normalizeColor(
+  color: ?string,
+  opacity?: ?number
+): ?string {
+  if (color == null) {
+    return color;
+  }
+  const multiple = opacity != null ? opacity : 1;
+  const rgba = parseColor(color);
+  if (rgba != null) {
+    const [r, g, b, a] = rgba;
+    const alpha = Math.round(a * multiple * 100) / 100;
+    return `rgba(${r},${g},${b},${alpha})`;
+  }
+  if (multiple === 1) {
+    return color;
+  }
+  return `color-mix(in srgb, ${color} ${Math.round(
+    multiple * 100
+  )}%, transparent)`;
+}
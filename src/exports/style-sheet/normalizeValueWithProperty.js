@@ -9,6 +9,80 @@
 
 import unitlessNumbers from '#internal/unitlessNumbers';
 
+export type ScalableUnits = {|
+  base?: number,
+  properties: 'all' | 'typography'
+|};
+
+const typographyProperties = {
+  fontSize: true,
+  letterSpacing: true,
+  lineHeight: true
+};
+
+// The units of the styles that are being compiled. The default applies to
+// every resolver without its own units, and to styles that are registered.
+let scalableUnits: ?ScalableUnits = null;
+
+/**
+ * Compile numeric lengths to 'rem' rather than 'px', so that they scale with
+ * the font size of the browser. The 'properties' are either 'all' lengths, or
+ * only the lengths of 'typography' (fontSize, letterSpacing, and lineHeight).
+ * The 'base' is the number of pixels of '1rem' (default 16). Must be set
+ * before any style is resolved.
+ */
+export function setScalableUnits(value: ?ScalableUnits) {
+  scalableUnits = value;
+}
+
+/**
+ * Compile the styles of a resolver with its own units (see
+ * 'createStyleResolver'). The units are part of the compiled values, so the
+ * rules of different units have different identifiers.
+ */
+export function withScalableUnits<T>(
+  value: ?ScalableUnits,
+  callback: () => T
+): T {
+  const previousScalableUnits = scalableUnits;
+  scalableUnits = value;
+  try {
+    return callback();
+  } finally {
+    scalableUnits = previousScalableUnits;
+  }
+}
+
+/**
+ * The units of the styles that are being compiled.
+ */
+export function getScalableUnits(): ?ScalableUnits {
+  return scalableUnits;
+}
+
+/**
+ * The number of pixels of '1rem'.
+ */
+export function getBaseFontSize(): number {
+  return (scalableUnits && scalableUnits.base) || 16;
+}
+
+function isScalable(property: ?string): boolean {
+  if (scalableUnits == null) {
+    return false;
+  }
+  return (
+    scalableUnits.properties === 'all' ||
+    (property != null && typographyProperties[property] === true)
+  );
+}
+
+function toRem(value: number): string {
+  const base = getBaseFontSize();
+  // Avoid long fractions, e.g., 1 / 14
+  return `${Math.round((value / base) * 10000) / 10000}rem`;
+}
+
 export default function normalizeValueWithProperty(
   value: any,
   property?: ?string
@@ -16,7 +90,8 @@ export default function normalizeValueWithProperty(
   let returnValue = value;
   if (typeof value === 'number') {
     if (property == null || !unitlessNumbers[property]) {
-      returnValue = `${value}px`;
+      returnValue =
+        value !== 0 && isScalable(property) ? toRem(value) : `${value}px`;
     }
   }
   return returnValue;
@@ -0,0 +1,31 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ */
+
+type RegisteredRule = {| group: number, rule: string |};
+
+// Rules that are not applied with a class (e.g., '@font-face' and
+// '@keyframes') are defined once and inserted into the style sheet of every
+// resolver, including the resolvers of server renders.
+const rules: Array<RegisteredRule> = [];
+const registered: { [rule: string]: boolean } = {};
+
+export function registerRule(rule: string, group: number): void {
+  if (!registered[rule]) {
+    registered[rule] = true;
+    rules.push({ group, rule });
+  }
+}
+
+/**
+ * The registered rules, in order of registration. Rules are never removed, so
+ * a resolver only needs to insert the rules after those it has inserted.
+ */
+export function getRegisteredRules(): $ReadOnlyArray<RegisteredRule> {
+  return rules;
+}
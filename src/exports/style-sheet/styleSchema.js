@@ -0,0 +1,360 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+/**
+ * The values of each style property, derived from the style types (see
+ * '__types__/styles.js', and the styles of 'View', 'Text', and 'Image').
+ *
+ * 'color': a color string or a dynamic color
+ * 'dimension': a number, or a string with a supported unit or keyword
+ * 'number': a finite number
+ * 'numberOrString': a finite number or a string
+ * 'offset': an object of numbers, e.g., { width: 0, height: 2 }
+ * 'string': any string
+ * 'transform': a string, or an array of transform functions
+ * 'any': any value
+ * Array<string>: one of the values
+ * { list: Spec }: a value, or an array of values
+ */
+export type Spec =
+  | 'any'
+  | 'color'
+  | 'dimension'
+  | 'number'
+  | 'numberOrString'
+  | 'offset'
+  | 'string'
+  | 'transform'
+  | Array<string | number>
+  | {| list: Spec |};
+
+const animationDirection = [
+  'alternate',
+  'alternate-reverse',
+  'normal',
+  'reverse'
+];
+const borderStyle = ['solid', 'dotted', 'dashed'];
+const boxSizing = ['border-box', 'content-box', 'padding-box'];
+const cursor = [
+  'alias',
+  'all-scroll',
+  'auto',
+  'cell',
+  'context-menu',
+  'copy',
+  'crosshair',
+  'default',
+  'grab',
+  'grabbing',
+  'help',
+  'pointer',
+  'progress',
+  'wait',
+  'text',
+  'vertical-text',
+  'move',
+  'none',
+  'no-drop',
+  'not-allowed',
+  'zoom-in',
+  'zoom-out',
+  'col-resize',
+  'e-resize',
+  'ew-resize',
+  'n-resize',
+  'ne-resize',
+  'ns-resize',
+  'nw-resize',
+  'row-resize',
+  's-resize',
+  'se-resize',
+  'sw-resize',
+  'w-resize',
+  'nesw-resize',
+  'nwse-resize'
+];
+const flexAlignment = ['center', 'flex-end', 'flex-start', 'stretch'];
+const fontWeight = [
+  'bold',
+  'normal',
+  '100',
+  '200',
+  '300',
+  '400',
+  '500',
+  '600',
+  '700',
+  '800',
+  '900',
+  100,
+  200,
+  300,
+  400,
+  500,
+  600,
+  700,
+  800,
+  900
+];
+const overflow = ['auto', 'hidden', 'scroll', 'visible'];
+const overscrollBehavior = ['auto', 'contain', 'none'];
+const visibility = ['hidden', 'visible'];
+
+const schema: { [property: string]: Spec } = {
+  // Animations and transitions
+  animationDelay: { list: 'string' },
+  animationDirection: { list: animationDirection },
+  animationDuration: { list: 'string' },
+  animationFillMode: { list: ['none', 'forwards', 'backwards', 'both'] },
+  animationIterationCount: { list: 'numberOrString' },
+  animationKeyframes: { list: 'any' },
+  animationPlayState: { list: ['paused', 'running'] },
+  animationTimingFunction: { list: 'string' },
+  transitionDelay: { list: 'string' },
+  transitionDuration: { list: 'string' },
+  transitionProperty: { list: 'string' },
+  transitionTimingFunction: { list: 'string' },
+
+  // Border
+  borderColor: 'color',
+  borderBottomColor: 'color',
+  borderEndColor: 'color',
+  borderLeftColor: 'color',
+  borderRightColor: 'color',
+  borderStartColor: 'color',
+  borderTopColor: 'color',
+  borderRadius: 'dimension',
+  borderBottomEndRadius: 'dimension',
+  borderBottomLeftRadius: 'dimension',
+  borderBottomRightRadius: 'dimension',
+  borderBottomStartRadius: 'dimension',
+  borderTopEndRadius: 'dimension',
+  borderTopLeftRadius: 'dimension',
+  borderTopRightRadius: 'dimension',
+  borderTopStartRadius: 'dimension',
+  borderStyle,
+  borderBottomStyle: borderStyle,
+  borderEndStyle: borderStyle,
+  borderLeftStyle: borderStyle,
+  borderRightStyle: borderStyle,
+  borderStartStyle: borderStyle,
+  borderTopStyle: borderStyle,
+
+  // Interactions
+  cursor,
+  pointerEvents: ['auto', 'box-none', 'box-only', 'none'],
+  touchAction: [
+    'auto',
+    'inherit',
+    'manipulation',
+    'none',
+    'pan-down',
+    'pan-left',
+    'pan-right',
+    'pan-up',
+    'pan-x',
+    'pan-y',
+    'pinch-zoom'
+  ],
+  userSelect: ['all', 'auto', 'contain', 'none', 'text'],
+  willChange: 'string',
+
+  // Layout
+  alignContent: [...flexAlignment, 'space-around', 'space-between'],
+  alignItems: ['baseline', ...flexAlignment],
+  alignSelf: ['auto', 'baseline', ...flexAlignment],
+  aspectRatio: 'number',
+  backfaceVisibility: visibility,
+  borderWidth: 'dimension',
+  borderBottomWidth: 'dimension',
+  borderEndWidth: 'dimension',
+  borderLeftWidth: 'dimension',
+  borderRightWidth: 'dimension',
+  borderStartWidth: 'dimension',
+  borderTopWidth: 'dimension',
+  bottom: 'dimension',
+  boxSizing,
+  direction: ['auto', 'inherit', 'ltr', 'rtl'],
+  display: 'string',
+  end: 'dimension',
+  flex: 'number',
+  flexBasis: 'dimension',
+  flexDirection: ['column', 'column-reverse', 'row', 'row-reverse'],
+  flexGrow: 'number',
+  flexShrink: 'number',
+  flexWrap: ['nowrap', 'wrap', 'wrap-reverse'],
+  gridAutoColumns: 'string',
+  gridAutoFlow: 'string',
+  gridAutoRows: 'string',
+  gridColumnEnd: 'string',
+  gridColumnGap: 'string',
+  gridColumnStart: 'string',
+  gridRowEnd: 'string',
+  gridRowGap: 'string',
+  gridRowStart: 'string',
+  gridTemplateAreas: 'string',
+  gridTemplateColumns: 'string',
+  gridTemplateRows: 'string',
+  height: 'dimension',
+  justifyContent: [
+    'center',
+    'flex-end',
+    'flex-start',
+    'space-around',
+    'space-between',
+    'space-evenly'
+  ],
+  left: 'dimension',
+  margin: 'dimension',
+  marginBottom: 'dimension',
+  marginEnd: 'dimension',
+  marginHorizontal: 'dimension',
+  marginLeft: 'dimension',
+  marginRight: 'dimension',
+  marginStart: 'dimension',
+  marginTop: 'dimension',
+  marginVertical: 'dimension',
+  maxHeight: 'dimension',
+  maxWidth: 'dimension',
+  minHeight: 'dimension',
+  minWidth: 'dimension',
+  order: 'number',
+  overflow,
+  overflowX: overflow,
+  overflowY: overflow,
+  padding: 'dimension',
+  paddingBottom: 'dimension',
+  paddingEnd: 'dimension',
+  paddingHorizontal: 'dimension',
+  paddingLeft: 'dimension',
+  paddingRight: 'dimension',
+  paddingStart: 'dimension',
+  paddingTop: 'dimension',
+  paddingVertical: 'dimension',
+  position: ['absolute', 'fixed', 'relative', 'static', 'sticky'],
+  right: 'dimension',
+  start: 'dimension',
+  top: 'dimension',
+  visibility,
+  width: 'dimension',
+  zIndex: 'number',
+
+  // Transforms
+  perspective: 'dimension',
+  perspectiveOrigin: 'string',
+  transform: 'transform',
+  transformOrigin: 'string',
+  transformStyle: ['flat', 'preserve-3d'],
+
+  // View
+  backdropFilter: 'string',
+  backgroundAttachment: 'string',
+  backgroundBlendMode: 'string',
+  backgroundClip: 'string',
+  backgroundColor: 'color',
+  backgroundImage: 'string',
+  backgroundOrigin: boxSizing,
+  backgroundPosition: 'string',
+  backgroundRepeat: 'string',
+  backgroundSize: 'string',
+  boxShadow: 'string',
+  clip: 'string',
+  containerName: 'string',
+  containerType: ['inline-size', 'normal', 'size'],
+  filter: 'string',
+  opacity: 'number',
+  outlineColor: 'color',
+  outlineOffset: 'dimension',
+  outlineStyle: 'string',
+  outlineWidth: 'dimension',
+  overscrollBehavior,
+  overscrollBehaviorX: overscrollBehavior,
+  overscrollBehaviorY: overscrollBehavior,
+  scrollbarWidth: ['auto', 'none', 'thin'],
+  scrollSnapAlign: 'string',
+  scrollSnapType: 'string',
+  shadowColor: 'color',
+  shadowOffset: 'offset',
+  shadowOpacity: 'number',
+  shadowRadius: 'number',
+  WebkitMaskImage: 'string',
+  WebkitOverflowScrolling: ['auto', 'touch'],
+
+  // Text
+  color: 'color',
+  fontFamily: 'string',
+  fontFeatureSettings: 'string',
+  fontSize: 'dimension',
+  fontStyle: ['italic', 'normal'],
+  fontVariant: 'string',
+  fontWeight,
+  letterSpacing: 'dimension',
+  lineClamp: 'number',
+  lineHeight: 'numberOrString',
+  placeholderTextColor: 'color',
+  textAlign: [
+    'center',
+    'end',
+    'inherit',
+    'justify',
+    'justify-all',
+    'left',
+    'right',
+    'start'
+  ],
+  textDecorationColor: 'color',
+  textDecorationLine: [
+    'none',
+    'underline',
+    'line-through',
+    'underline line-through'
+  ],
+  textDecorationStyle: ['solid', 'double', 'dotted', 'dashed'],
+  textIndent: 'dimension',
+  textOverflow: 'string',
+  textRendering: [
+    'auto',
+    'geometricPrecision',
+    'optimizeLegibility',
+    'optimizeSpeed'
+  ],
+  textShadow: 'string',
+  textShadowColor: 'color',
+  textShadowOffset: 'offset',
+  textShadowRadius: 'number',
+  textTransform: ['capitalize', 'lowercase', 'none', 'uppercase'],
+  unicodeBidi: [
+    'normal',
+    'bidi-override',
+    'embed',
+    'isolate',
+    'isolate-override',
+    'plaintext'
+  ],
+  verticalAlign: 'string',
+  whiteSpace: 'string',
+  wordBreak: ['normal', 'break-all', 'break-word', 'keep-all'],
+  wordWrap: 'string',
+  MozOsxFontSmoothing: 'string',
+  WebkitFontSmoothing: 'string',
+
+  // Image
+  imageRendering: [
+    'auto',
+    'crisp-edges',
+    'high-quality',
+    'pixelated',
+    'smooth'
+  ],
+  objectFit: ['cover', 'contain', 'scale-down', 'fill', 'none'],
+  objectPosition: 'string'
+};
+
+export default schema;
@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import css from './css';
+import hyphenateStyleName from '#internal/hyphenateStyleName';
+import normalizeValueWithProperty from './normalizeValueWithProperty';
+import { STYLE_GROUPS } from './constants';
+
+const themePrefix = '--theme';
+const themeClassNames: WeakMap<Object, string> = new WeakMap();
+
+/**
+ * Replace each token with a reference to a custom property, and collect the
+ * declarations of the custom properties. Numbers are lengths in pixels (as
+ * with styles), so unitless values must be strings, e.g., fontWeight: '700'.
+ */
+function createReferences(
+  tokens: Object,
+  prefix: string,
+  declarations: { [property: string]: string }
+): Object {
+  const references = {};
+  Object.keys(tokens).forEach((key) => {
+    const value = tokens[key];
+    // The declaration is hyphenated, and custom properties are case-sensitive
+    const property = `${prefix}-${hyphenateStyleName(key)}`;
+    if (value != null && typeof value === 'object') {
+      references[key] = createReferences(value, property, declarations);
+    } else if (value != null) {
+      declarations[property] =
+        typeof value === 'number' && value !== 0
+          ? normalizeValueWithProperty(value)
+          : String(value);
+      references[key] = `var(${property})`;
+    }
+  });
+  return references;
+}
+
+/**
+ * Create a theme from design tokens.
+ *
+ * const theme = StyleSheet.createTheme({ colors: { primary: 'blue' } });
+ * const styles = StyleSheet.create({ text: { color: theme.colors.primary } });
+ *
+ * The theme mirrors the tokens, but each value is a reference to a custom
+ * property ('var(--theme-colors-primary)'), with camelCase keys hyphenated
+ * ('primaryDark' => 'var(--theme-colors-primary-dark)'). The properties are
+ * declared by 'ThemeProvider', and the names only depend on the path of a
+ * token. Themes with the same shape are interchangeable, and switching
+ * between them only changes the values of the properties, without resolving
+ * any styles again.
+ */
+export function createTheme<T: { ... }>(tokens: T): T {
+  const declarations = {};
+  const theme = createReferences(tokens, themePrefix, declarations);
+  const classes = css.create({ theme: declarations }, STYLE_GROUPS.theme);
+  themeClassNames.set(theme, classes.theme);
+  // $FlowFixMe: the theme has the same shape as the tokens
+  return theme;
+}
+
+/**
+ * The class that declares the custom properties of a theme.
+ */
+export function getThemeClassName(theme: Object): ?string {
+  return themeClassNames.get(theme);
+}
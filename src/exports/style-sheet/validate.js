@@ -7,6 +7,25 @@
  * @flow
  */
 
+import type { Spec } from './styleSchema';
+
+import { STYLE_GROUPS } from './constants';
+import { isConditionKey } from './conditions';
+import { isDynamicColor } from './dynamicColor';
+import schema from './styleSchema';
+
+export type StyleError = {|
+  message: string,
+  property: string
+|};
+
+/**
+ * warn: log each error once
+ * throw: throw an error
+ * collect: record errors without logging (see 'takeStyleErrors')
+ */
+export type Severity = 'collect' | 'throw' | 'warn';
+
 const invalidShortforms = {
   background: true,
   borderBottom: true,
@@ -19,44 +38,342 @@ const invalidShortforms = {
   textDecoration: true
 };
 
-function error(message) {
-  console.warn(message);
+const lengthUnits = [
+  '%',
+  'ch',
+  'cm',
+  'cqb',
+  'cqh',
+  'cqi',
+  'cqmax',
+  'cqmin',
+  'cqw',
+  'dvh',
+  'dvw',
+  'em',
+  'ex',
+  'fr',
+  'in',
+  'lh',
+  'lvh',
+  'lvw',
+  'mm',
+  'pc',
+  'pt',
+  'px',
+  'q',
+  'rem',
+  'svh',
+  'svw',
+  'vh',
+  'vmax',
+  'vmin',
+  'vw'
+];
+const numericPattern = /^[+-]?(\d+\.?\d*|\.\d+)([a-zA-Z%]*)$/;
+
+let severity: Severity = 'warn';
+// Errors are only recorded while collecting, so they can't accumulate
+let errors: Array<StyleError> = [];
+const warned = {};
+// The errors of each style that was validated
+const styleErrors: WeakMap<Object, Array<StyleError>> = new WeakMap();
+
+export function getValidationSeverity(): Severity {
+  return severity;
 }
 
-export default function validate(key: string, styles: { [key: string]: any }) {
-  const obj = styles[key];
-  for (const k in obj) {
+export function setValidationSeverity(value: Severity) {
+  severity = value;
+}
+
+/**
+ * The errors collected since the last call.
+ */
+export function takeStyleErrors(): Array<StyleError> {
+  const result = errors;
+  errors = [];
+  return result;
+}
+
+function report(styleError: StyleError) {
+  const { message } = styleError;
+  if (severity === 'collect') {
+    errors.push(styleError);
+  } else if (severity === 'throw') {
+    throw new Error(message);
+  } else if (severity === 'warn' && !warned[message]) {
+    warned[message] = true;
+    console.warn(message);
+  }
+}
+
+function describe(value: mixed): string {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * The number of edits between two strings, where swapping adjacent characters
+ * is one edit (e.g., 'widht' => 'width').
+ */
+function distance(a: string, b: string): number {
+  const d = [];
+  for (let i = 0; i <= a.length; i += 1) {
+    d[i] = [i];
+  }
+  for (let j = 1; j <= b.length; j += 1) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * The most similar known property, e.g., 'background-color' => 'backgroundColor'
+ */
+function suggestProperty(prop: string): ?string {
+  const camelized = prop.replace(/-([a-z])/g, (m, char) => char.toUpperCase());
+  const lowerCased = camelized.toLowerCase();
+  let suggestion = null;
+  let minDistance = Math.min(3, Math.ceil(prop.length / 3)) + 1;
+  Object.keys(schema).forEach((candidate) => {
+    const d =
+      candidate.toLowerCase() === lowerCased
+        ? 0
+        : distance(camelized, candidate);
+    if (d < minDistance) {
+      minDistance = d;
+      suggestion = candidate;
+    }
+  });
+  return suggestion;
+}
+
+/**
+ * What was expected of a value, or null if the value is valid.
+ */
+function checkValue(spec: Spec, value: any): ?string {
+  if (typeof value === 'string' && value.indexOf('var(') === 0) {
+    // Theme tokens and other custom properties can't be checked
+    return null;
+  }
+  if (Array.isArray(spec)) {
+    return spec.indexOf(value) > -1
+      ? null
+      : `one of ${spec.map(describe).join(', ')}`;
+  }
+  if (typeof spec === 'object') {
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i += 1) {
+        const expected = checkValue(spec.list, value[i]);
+        if (expected != null) {
+          return expected;
+        }
+      }
+      return null;
+    }
+    return checkValue(spec.list, value);
+  }
+  switch (spec) {
+    case 'color':
+      return typeof value === 'string' || isDynamicColor(value)
+        ? null
+        : 'a color string';
+    case 'dimension': {
+      if (typeof value === 'number') {
+        return null;
+      }
+      if (typeof value !== 'string') {
+        return 'a number or a string';
+      }
+      const match = value.trim().match(numericPattern);
+      if (match != null) {
+        const unit = match[2].toLowerCase();
+        if (unit === '' && parseFloat(match[1]) !== 0) {
+          return 'a number, or a string with a unit, e.g., "10px"';
+        }
+        if (unit !== '' && lengthUnits.indexOf(unit) === -1) {
+          return `a supported unit (not "${unit}")`;
+        }
+      }
+      return null;
+    }
+    case 'number':
+      return typeof value === 'number' ? null : 'a number';
+    case 'numberOrString':
+      return typeof value === 'number' || typeof value === 'string'
+        ? null
+        : 'a number or a string';
+    case 'offset':
+      return value != null &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        Object.keys(value).every((key) => typeof value[key] === 'number')
+        ? null
+        : 'an object, e.g., { width: 0, height: 2 }';
+    case 'string':
+      return typeof value === 'string' ? null : 'a string';
+    case 'transform':
+      return typeof value === 'string' ||
+        (Array.isArray(value) &&
+          value.every(
+            (item) =>
+              item != null &&
+              typeof item === 'object' &&
+              Object.keys(item).length === 1
+          ))
+        ? null
+        : 'a string or an array of transforms, e.g., [{ rotate: "45deg" }]';
+    default:
+      return null;
+  }
+}
+
+function containsNonFiniteNumber(value: any): boolean {
+  if (typeof value === 'number') {
+    return !isFinite(value);
+  }
+  if (value != null && typeof value === 'object' && !isDynamicColor(value)) {
+    return Object.keys(value).some((key) =>
+      containsNonFiniteNumber(value[key])
+    );
+  }
+  return false;
+}
+
+/**
+ * Check a style object, once. The errors of a style that was already checked
+ * are only reported again while collecting, so that they are reported for
+ * each render that uses the style (see 'assertNoStyleErrors'). Properties
+ * that cannot be compiled are removed if 'remove' is true.
+ */
+export function validateStyle(style: Object, remove?: boolean): void {
+  const recorded = styleErrors.get(style);
+  if (recorded == null) {
+    const found = [];
+    checkStyle(style, remove, found);
+    styleErrors.set(style, found);
+  } else if (severity === 'collect') {
+    recorded.forEach(report);
+  }
+}
+
+function checkStyle(
+  style: Object,
+  remove: ?boolean,
+  found: Array<StyleError>
+): void {
+  function error(property: string, message: string) {
+    const styleError = { message, property };
+    found.push(styleError);
+    report(styleError);
+  }
+
+  const invalid = [];
+  for (const k in style) {
     const prop = k.trim();
-    const value = obj[prop];
-    let isInvalid = false;
+    const value = style[k];
 
-    if (value === null) {
+    if (value == null) {
       continue;
     }
 
-    if (typeof value === 'string' && value.indexOf('!important') > -1) {
+    if (prop.charAt(0) === ':' || prop.charAt(0) === '@') {
+      if (isConditionKey(prop) && typeof value === 'object') {
+        checkStyle(value, remove, found);
+      } else if (prop.charAt(0) === ':') {
+        const supported = Object.keys(STYLE_GROUPS.pseudo).join(', ');
+        error(
+          prop,
+          `Invalid style pseudo-class "${prop}". Supported pseudo-classes are ${supported}.`
+        );
+        invalid.push(k);
+      } else {
+        error(
+          prop,
+          `Invalid style condition "${prop}". Use "@media <query>", "@container <query>", or the name of a breakpoint.`
+        );
+        invalid.push(k);
+      }
+    } else if (typeof value === 'string' && value.indexOf('!important') > -1) {
       error(
+        prop,
         `Invalid style declaration "${prop}:${value}". Values cannot include "!important"`
       );
-      isInvalid = true;
+      invalid.push(k);
+    } else if (prop === 'animation' || prop === 'animationName') {
+      error(
+        prop,
+        `Invalid style property of "${prop}". Did you mean "animationKeyframes"?`
+      );
+      invalid.push(k);
+    } else if (invalidShortforms[prop]) {
+      error(
+        prop,
+        `Invalid style property of "${prop}". Please use long-form properties.`
+      );
+      invalid.push(k);
+    } else if (containsNonFiniteNumber(value)) {
+      const reason =
+        typeof value === 'number'
+          ? `${value} is not a finite number.`
+          : 'Numbers must be finite.';
+      error(prop, `Invalid style value of "${prop}". ${reason}`);
+      invalid.push(k);
+    } else if (prop.indexOf('--') === 0) {
+      // Custom properties can have any value
+      continue;
+    } else if (!schema.hasOwnProperty(prop)) {
+      const suggestion = suggestProperty(prop);
+      error(
+        prop,
+        `Unknown style property "${prop}".` +
+          (suggestion != null ? ` Did you mean "${suggestion}"?` : '')
+      );
     } else {
-      let suggestion = '';
-      if (prop === 'animation' || prop === 'animationName') {
-        suggestion = 'Did you mean "animationKeyframes"?';
-        // } else if (prop === 'boxShadow') {
-        //  suggestion = 'Did you mean "shadow{Color,Offset,Opacity,Radius}"?';
-        isInvalid = true;
-      } else if (invalidShortforms[prop]) {
-        suggestion = 'Please use long-form properties.';
-        isInvalid = true;
-      }
-      if (suggestion !== '') {
-        error(`Invalid style property of "${prop}". ${suggestion}`);
+      const expected = checkValue(schema[prop], value);
+      if (expected != null) {
+        error(
+          prop,
+          `Invalid style value ${describe(
+            value
+          )} of "${prop}". Expected ${expected}.`
+        );
+        // Offsets that aren't objects and flex that isn't a number can't be
+        // compiled
+        if (schema[prop] === 'offset' || prop === 'flex') {
+          invalid.push(k);
+        }
       }
     }
+  }
+  if (remove === true) {
+    invalid.forEach((k) => {
+      delete style[k];
+    });
+  }
+}
 
-    if (isInvalid) {
-      delete obj[k];
-    }
+/**
+ * Validate a style passed to 'StyleSheet.create'. Properties that cannot be
+ * compiled are removed.
+ */
+export default function validate(key: string, styles: { [key: string]: any }) {
+  const obj = styles[key];
+  if (obj == null || typeof obj !== 'object') {
+    return;
   }
+  validateStyle(obj, true);
 }
@@ -0,0 +1,142 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type { StyleError } from '../style-sheet/validate';
+
+import {
+  getValidationSeverity,
+  setValidationSeverity,
+  takeStyleErrors
+} from '../style-sheet/validate';
+
+/**
+ * Assert that no style errors were produced, e.g., while rendering a tree.
+ * Errors are collected rather than logged while the callback runs. Errors
+ * collected earlier (e.g., by another test) are discarded, but the errors of
+ * a style that was created earlier (e.g., with 'StyleSheet.create' when its
+ * module was evaluated) are collected again if the callback resolves it.
+ *
+ * assertNoStyleErrors(() => {
+ *   render(<App />);
+ * });
+ */
+export function assertNoStyleErrors(callback?: () => mixed): void {
+  const severity = getValidationSeverity();
+  takeStyleErrors();
+  setValidationSeverity('collect');
+  try {
+    if (callback != null) {
+      callback();
+    }
+  } finally {
+    setValidationSeverity(severity);
+  }
+  const errors = takeStyleErrors();
+  if (errors.length > 0) {
+    const messages = errors.map((error) => `  ${error.message}`).join('\n');
+    throw new Error(
+      `Expected no style errors, but found ${errors.length}:\n${messages}`
+    );
+  }
+}
+
+/**
+ * The style errors collected since the last call, i.e., while the severity of
+ * validation is 'collect' (see 'StyleSheet.configure').
+ */
+export function getStyleErrors(): Array<StyleError> {
+  return takeStyleErrors();
+}
+
+/**
+ * Stub constructable style sheets in an environment that doesn't support them
+ * (e.g., jsdom), so that shadow roots adopt the style sheets of 'StyleRoot',
+ * as does the document if it is configured to (see 'adoptedStyleSheets').
+ * Returns a function that removes the stub.
+ *
+ * const restore = mockConstructableStyleSheets();
+ * render(<StyleRoot root={shadowRoot}><App /></StyleRoot>, shadowRoot);
+ * shadowRoot.adoptedStyleSheets[0].cssRules;
+ * restore();
+ */
+export function mockConstructableStyleSheets(win?: any = window): () => void {
+  const { CSSStyleSheet, Document, ShadowRoot } = win;
+  const proto = CSSStyleSheet.prototype;
+  const hadReplaceSync = proto.hasOwnProperty('replaceSync');
+  const documentDescriptor = Object.getOwnPropertyDescriptor(
+    Document.prototype,
+    'adoptedStyleSheets'
+  );
+  const shadowRootDescriptor = Object.getOwnPropertyDescriptor(
+    ShadowRoot.prototype,
+    'adoptedStyleSheets'
+  );
+  const adoptedStyleSheets = new WeakMap();
+  const descriptor = {
+    configurable: true,
+    get() {
+      return adoptedStyleSheets.get(this) || [];
+    },
+    set(sheets) {
+      adoptedStyleSheets.set(this, sheets);
+    }
+  };
+
+  // The style sheet of a style element outlives the element, and no longer
+  // applies to the document once the element is removed
+  function ConstructableCSSStyleSheet() {
+    const { document } = win;
+    const element = document.createElement('style');
+    document.head.appendChild(element);
+    const sheet = element.sheet;
+    document.head.removeChild(element);
+    return sheet;
+  }
+  ConstructableCSSStyleSheet.prototype = proto;
+
+  if (!hadReplaceSync) {
+    proto.replaceSync = function (text) {
+      while (this.cssRules.length > 0) {
+        this.deleteRule(0);
+      }
+      text
+        .split('\n')
+        .filter(Boolean)
+        .forEach((rule) => {
+          this.insertRule(rule, this.cssRules.length);
+        });
+    };
+  }
+  win.CSSStyleSheet = ConstructableCSSStyleSheet;
+  Object.defineProperty(Document.prototype, 'adoptedStyleSheets', descriptor);
+  Object.defineProperty(ShadowRoot.prototype, 'adoptedStyleSheets', descriptor);
+
+  return () => {
+    win.CSSStyleSheet = CSSStyleSheet;
+    delete Document.prototype.adoptedStyleSheets;
+    delete ShadowRoot.prototype.adoptedStyleSheets;
+    if (documentDescriptor != null) {
+      Object.defineProperty(
+        Document.prototype,
+        'adoptedStyleSheets',
+        documentDescriptor
+      );
+    }
+    if (shadowRootDescriptor != null) {
+      Object.defineProperty(
+        ShadowRoot.prototype,
+        'adoptedStyleSheets',
+        shadowRootDescriptor
+      );
+    }
+    if (!hadReplaceSync) {
+      delete proto.replaceSync;
+    }
+  };
+}
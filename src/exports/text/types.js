@@ -63,6 +63,9 @@ export type TextStyle = {
     | 'optimizeLegibility'
     | 'optimizeSpeed',
   textShadow?: ?string,
+  textShadowColor?: ?ColorValue,
+  textShadowOffset?: {| +width?: number, +height?: number |},
+  textShadowRadius?: ?number,
   textTransform?: 'capitalize' | 'lowercase' | 'none' | 'uppercase',
   unicodeBidi?:
     | 'normal'
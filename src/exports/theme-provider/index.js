@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import * as React from 'react';
+import { createElement, createStyleRules } from '../create-element';
+import { getThemeClassName } from '../style-sheet/theme';
+
+export type ThemeProviderProps = {|
+  children?: React.Node,
+  theme: Object
+|};
+
+/**
+ * Declares the custom properties of a theme for a subtree. Nested providers
+ * override the properties of their ancestors, and themes created from a
+ * subset of tokens only override those tokens.
+ *
+ * <ThemeProvider theme={darkTheme}>
+ *   <App />
+ * </ThemeProvider>
+ */
+export function ThemeProvider(props: ThemeProviderProps): React.Node {
+  const { children, theme } = props;
+  const themeClassName = getThemeClassName(theme);
+
+  if (process.env.NODE_ENV !== 'production') {
+    if (themeClassName == null) {
+      console.error(
+        'ThemeProvider: "theme" must be created by "StyleSheet.createTheme".'
+      );
+    }
+  }
+
+  // The element doesn't generate a box, so it doesn't affect layout
+  return createElement('div', {
+    children,
+    classList: [classes.provider, themeClassName]
+  });
+}
+
+const classes = createStyleRules({
+  provider: {
+    display: 'contents'
+  }
+});
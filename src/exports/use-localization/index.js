@@ -0,0 +1,73 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import * as React from 'react';
+import isLocaleRTL from '#internal/isLocaleRTL';
+import useLayoutEffect from '#internal/useLayoutEffect';
+import { getPreferredRTL, Localization } from '../localization';
+import LocaleContext from '../localization/LocaleContext';
+
+type LocalizationState = {|
+  direction: 'ltr' | 'rtl',
+  isRTL: boolean,
+  locale: ?string
+|};
+
+function useGlobalLocalization() {
+  const [state, setState] = React.useState(() => ({
+    locale: Localization.locale,
+    preferredRTL: getPreferredRTL()
+  }));
+
+  useLayoutEffect(() => {
+    const listener = () => {
+      const locale = Localization.locale;
+      const preferredRTL = getPreferredRTL();
+      // Avoid rendering again (e.g., on mount) if nothing changed
+      setState((prevState) =>
+        prevState.locale === locale && prevState.preferredRTL === preferredRTL
+          ? prevState
+          : { locale, preferredRTL }
+      );
+    };
+    const subscription = Localization.addChangeListener(listener);
+    listener();
+    return () => {
+      subscription.remove();
+    };
+  }, []);
+
+  return state;
+}
+
+/**
+ * The locale and direction of a component. The nearest 'LocaleProvider' takes
+ * precedence over 'Localization', and the component re-renders when either
+ * changes. The 'defaultLocale' (e.g., from the request of a server render) is
+ * used if no locale is known (e.g., the preferred language of the user). Unless
+ * the direction of the app is set (e.g., with 'Localization.setLocale' or by
+ * '<html dir>'), it is derived from the script of the locale.
+ */
+export function useLocalization(defaultLocale?: ?string): LocalizationState {
+  const global = useGlobalLocalization();
+  const context = React.useContext(LocaleContext);
+  const locale =
+    context.lang != null
+      ? context.lang
+      : global.locale != null
+      ? global.locale
+      : defaultLocale;
+  const isRTL =
+    global.preferredRTL != null
+      ? global.preferredRTL
+      : locale != null && isLocaleRTL(locale);
+  const direction =
+    context.direction != null ? context.direction : isRTL ? 'rtl' : 'ltr';
+  return { direction, isRTL: direction === 'rtl', locale };
+}
@@ -7,16 +7,57 @@
  * @flow strict
  */
 
+import * as React from 'react';
 import useMediaQuery from '#internal/useMediaQuery';
+import useLayoutEffect from '#internal/useLayoutEffect';
+import { Appearance } from '../appearance';
 
 type Preferences = {
   colorScheme: 'light' | 'dark',
+  highContrast: boolean,
   reducedMotion: boolean
 };
 
+function useAppearance() {
+  const [state, setState] = React.useState(() => ({
+    colorScheme: Appearance.colorScheme,
+    highContrast: Appearance.highContrast
+  }));
+
+  useLayoutEffect(() => {
+    const listener = () => {
+      const { colorScheme, highContrast } = Appearance;
+      // Only render again if the overrides changed (e.g., before the effect)
+      setState((prevState) =>
+        prevState.colorScheme === colorScheme &&
+        prevState.highContrast === highContrast
+          ? prevState
+          : { colorScheme, highContrast }
+      );
+    };
+    const subscription = Appearance.addChangeListener(listener);
+    listener();
+    return () => {
+      subscription.remove();
+    };
+  }, []);
+
+  return state;
+}
+
 export function usePreferences(): Preferences {
   const darkColorScheme = useMediaQuery('(prefers-color-scheme: dark)');
+  const moreContrast = useMediaQuery('(prefers-contrast: more)');
   const reducedMotion = useMediaQuery('(prefers-reduced-motion)');
-  const colorScheme = darkColorScheme ? 'dark' : 'light';
-  return { colorScheme, reducedMotion };
+  // Overrides set with 'Appearance' take precedence over the system
+  const appearance = useAppearance();
+  const colorScheme =
+    appearance.colorScheme != null
+      ? appearance.colorScheme
+      : darkColorScheme
+      ? 'dark'
+      : 'light';
+  const highContrast =
+    appearance.highContrast != null ? appearance.highContrast : moreContrast;
+  return { colorScheme, highContrast, reducedMotion };
 }
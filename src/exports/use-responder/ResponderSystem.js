@@ -137,6 +137,7 @@ import type { TouchActionValue } from '../../__types__/styles';
 
 import { addEvent } from '#internal/addEvent';
 import createResponderEvent from './createResponderEvent';
+import getEventTarget from '#internal/getEventTarget';
 import { getActiveModality } from '#internal/modality';
 import supportsDOM from '#internal/supportsDOM';
 import {
@@ -245,7 +246,7 @@ function changeCurrentResponder(responder: ResponderInstance) {
  */
 function eventListener(domEvent: any) {
   const eventType = domEvent.type;
-  const eventTarget = domEvent.target;
+  const eventTarget = getEventTarget(domEvent);
 
   // Ignore browser emulated mouse events
   if (
@@ -377,8 +378,8 @@ function eventListener(domEvent: any) {
         isCancelish(eventType) ||
         // native context menu
         eventType === 'contextmenu' ||
-        // window blur
-        (eventType === 'blur' && eventTarget === window) ||
+        // window blur (of any frame)
+        (eventType === 'blur' && eventTarget === eventTarget.window) ||
         // responder (or ancestors) blur
         (eventType === 'blur' &&
           eventTarget.contains(node) &&
@@ -500,7 +501,7 @@ function findWantsResponder(domEvent, responderEvent, responderEventPath) {
       }
     } else {
       const node = responderEventPath[0];
-      const target = domEvent.target;
+      const target = getEventTarget(domEvent);
       if (target === node) {
         return check(node, shouldSetCallbackBubbleName);
       }
@@ -581,24 +582,32 @@ function attemptTransfer(
  * Use native events as ReactDOM doesn't have a non-plugin API to implement
  * this system.
  */
-export function attachListeners() {
-  if (supportsDOM && window.__reactResponderSystemActive == null) {
+export function attachListeners(doc?: ?Document) {
+  // Events within shadow roots propagate to their document, but the
+  // documents of frames need their own listeners
+  const ownerDocument = doc != null ? doc : supportsDOM() ? document : null;
+  const win = ownerDocument != null ? ownerDocument.defaultView : null;
+  if (
+    ownerDocument != null &&
+    win != null &&
+    win.__reactResponderSystemActive == null
+  ) {
     const captureOptions = { capture: true };
     const passiveOptions = { passive: true };
-    addEvent(window, 'blur', eventListener);
-    addEvent(document, 'mousedown', eventListener);
-    addEvent(document, 'mousemove', eventListener);
-    addEvent(document, 'mouseup', eventListener);
-    addEvent(document, 'dragstart', eventListener);
-    addEvent(document, 'touchstart', eventListener, passiveOptions);
-    addEvent(document, 'touchmove', eventListener, passiveOptions);
-    addEvent(document, 'touchend', eventListener, passiveOptions);
-    addEvent(document, 'touchcancel', eventListener, passiveOptions);
-    addEvent(document, 'contextmenu', eventListener);
-    addEvent(document, 'select', eventListener);
-    addEvent(document, 'blur', eventListener, captureOptions);
-    addEvent(document, 'scroll', eventListener, captureOptions);
-    window.__reactResponderSystemActive = true;
+    addEvent(win, 'blur', eventListener);
+    addEvent(ownerDocument, 'mousedown', eventListener);
+    addEvent(ownerDocument, 'mousemove', eventListener);
+    addEvent(ownerDocument, 'mouseup', eventListener);
+    addEvent(ownerDocument, 'dragstart', eventListener);
+    addEvent(ownerDocument, 'touchstart', eventListener, passiveOptions);
+    addEvent(ownerDocument, 'touchmove', eventListener, passiveOptions);
+    addEvent(ownerDocument, 'touchend', eventListener, passiveOptions);
+    addEvent(ownerDocument, 'touchcancel', eventListener, passiveOptions);
+    addEvent(ownerDocument, 'contextmenu', eventListener);
+    addEvent(ownerDocument, 'select', eventListener);
+    addEvent(ownerDocument, 'blur', eventListener, captureOptions);
+    addEvent(ownerDocument, 'scroll', eventListener, captureOptions);
+    win.__reactResponderSystemActive = true;
   }
 }
 
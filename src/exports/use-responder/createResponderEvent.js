@@ -10,6 +10,7 @@
 import type { TouchEvent } from './ResponderEventTypes';
 
 import ResponderTouchHistoryStore from './ResponderTouchHistoryStore';
+import getEventTarget from '#internal/getEventTarget';
 
 export type ResponderEvent = {|
   bubbles: boolean,
@@ -77,6 +78,8 @@ export default function createResponderEvent(domEvent: any): ResponderEvent {
 
   const domEventChangedTouches = domEvent.changedTouches;
   const domEventType = domEvent.type;
+  // The target within a shadow root, rather than its host
+  const eventTarget = getEventTarget(domEvent);
 
   const metaKey = domEvent.metaKey === true;
   const shiftKey = domEvent.shiftKey === true;
@@ -138,7 +141,7 @@ export default function createResponderEvent(domEvent: any): ResponderEvent {
         },
         pageX,
         pageY,
-        target: domEvent.target,
+        target: eventTarget,
         timeStamp
       }
     ];
@@ -180,7 +183,7 @@ export default function createResponderEvent(domEvent: any): ResponderEvent {
       },
       pageX,
       pageY,
-      target: domEvent.target,
+      target: eventTarget,
       timeStamp,
       touches,
       type: domEventType
@@ -190,7 +193,7 @@ export default function createResponderEvent(domEvent: any): ResponderEvent {
     stopPropagation() {
       propagationWasStopped = true;
     },
-    target: domEvent.target,
+    target: eventTarget,
     timeStamp,
     touchHistory: ResponderTouchHistoryStore.touchHistory
   };
@@ -34,7 +34,7 @@ export function useResponder(config: ?ResponderConfig): CallbackRef {
   // Set the config as necessary
   const refCallback = useCallback(
     (target) => {
-      ResponderSystem.attachListeners();
+      ResponderSystem.attachListeners(target.ownerDocument);
       ResponderSystem.setConfig(target, config);
     },
     [config]
@@ -32,7 +32,8 @@ function composedPathFallback(target: any): Array<any> {
   const path = [];
   while (target != null && target !== document.body) {
     path.push(target);
-    target = target.parentNode;
+    // Continue from the host of a shadow root
+    target = target.parentNode != null ? target.parentNode : target.host;
   }
   return path;
 }
@@ -18,6 +18,7 @@ import {
 } from '../create-element';
 import getAccessibilityElementWithSideEffect from '#internal/getAccessibilityElementWithSideEffect';
 import TextAncestorContext from '../text/TextAncestorContext';
+import useContainerQueryFallback from './useContainerQueryFallback';
 
 export const View: React.AbstractComponent<
   ViewProps,
@@ -38,13 +39,14 @@ export const View: React.AbstractComponent<
   }
 
   const hasTextAncestor = React.useContext(TextAncestorContext);
+  const containerRef = useContainerQueryFallback(props.style, ref);
 
   // Construct the props
   const elementProps = filterProps(props);
   elementProps.children = children;
   elementProps.classList = hasTextAncestor ? inlineClassList : defaultClassList;
   elementProps.dir = direction;
-  elementProps.ref = ref;
+  elementProps.ref = containerRef;
   if (href) {
     elementProps.href = href;
     if (hrefAttrs != null) {
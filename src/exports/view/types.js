@@ -41,6 +41,8 @@ export type ViewStyle = {
   backgroundSize?: ?string,
   boxShadow?: ?string,
   clip?: ?string,
+  containerName?: ?string,
+  containerType?: 'inline-size' | 'normal' | 'size',
   filter?: ?string,
   opacity?: ?number,
   outlineColor?: ?ColorValue,
@@ -51,6 +53,10 @@ export type ViewStyle = {
   overscrollBehaviorX?: ?OverscrollBehaviorValue,
   overscrollBehaviorY?: ?OverscrollBehaviorValue,
   scrollbarWidth?: 'auto' | 'none' | 'thin',
+  shadowColor?: ?ColorValue,
+  shadowOffset?: {| +width?: number, +height?: number |},
+  shadowOpacity?: ?number,
+  shadowRadius?: ?number,
   scrollSnapAlign?: ?string,
   scrollSnapType?: ?string,
   WebkitMaskImage?: ?string,
@@ -0,0 +1,64 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+import type { ResizeEvent } from '../../__types__';
+
+import * as React from 'react';
+import { StyleSheet } from '../style-sheet';
+import {
+  containerQueryAttributeName,
+  getMatchingContainerQueries,
+  supportsContainerQueries
+} from '../style-sheet/conditions';
+import { useMergeRefs } from '../use-merge-refs';
+import { useResize } from '../use-resize';
+
+/**
+ * Container queries are compiled to descendant selectors where they are not
+ * supported natively. Containers measure themselves and set an attribute that
+ * lists the queries they match. The attribute is set directly on the element
+ * so resizing doesn't cause a render.
+ */
+function useContainerQueryFallback(style: mixed, forwardedRef: any): any {
+  const nodeRef = React.useRef(null);
+  const { containerName, containerType } = StyleSheet.flatten(style) || {};
+  const isContainer =
+    containerType === 'inline-size' || containerType === 'size';
+
+  const onResize = React.useCallback(
+    ({ blockSize, inlineSize }: ResizeEvent) => {
+      const node = nodeRef.current;
+      if (node != null) {
+        const tokens = getMatchingContainerQueries(
+          containerName,
+          inlineSize,
+          // Only 'size' containers can be queried by height
+          containerType === 'size' ? blockSize : 0
+        );
+        if (tokens.length > 0) {
+          node.setAttribute(containerQueryAttributeName, tokens.join(' '));
+        } else {
+          node.removeAttribute(containerQueryAttributeName);
+        }
+      }
+    },
+    [containerName, containerType]
+  );
+
+  const resizeRef = useResize({ onResize: isContainer ? onResize : null });
+  return useMergeRefs(forwardedRef, nodeRef, isContainer ? resizeRef : null);
+}
+
+function useForwardedRef(style: mixed, forwardedRef: any): any {
+  return forwardedRef;
+}
+
+export default supportsContainerQueries
+  ? useForwardedRef
+  : useContainerQueryFallback;
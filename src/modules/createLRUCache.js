@@ -0,0 +1,53 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ */
+
+export type LRUCache<K, V> = {|
+  delete: (key: K) => void,
+  get: (key: K) => ?V,
+  set: (key: K, value: V) => V
+|};
+
+/**
+ * A cache that evicts the least recently used entry once it holds more than
+ * 'maxSize' entries. Maps iterate in insertion order, so an entry is moved to
+ * the end whenever it is used.
+ */
+export default function createLRUCache<K, V>(
+  maxSize: number,
+  onEvict?: (key: K, value: V) => void
+): LRUCache<K, V> {
+  const map: Map<K, V> = new Map();
+
+  return {
+    delete(key) {
+      map.delete(key);
+    },
+    get(key) {
+      const value = map.get(key);
+      if (value !== undefined) {
+        map.delete(key);
+        map.set(key, value);
+      }
+      return value;
+    },
+    set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > maxSize) {
+        const oldestKey = map.keys().next().value;
+        const oldestValue = map.get(oldestKey);
+        map.delete(oldestKey);
+        if (onEvict != null && oldestValue !== undefined) {
+          onEvict(oldestKey, oldestValue);
+        }
+      }
+      return value;
+    }
+  };
+}
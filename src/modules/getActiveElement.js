@@ -14,6 +14,20 @@ import supportsDOM from './supportsDOM';
 /**
  * Get the currently focused element
  */
-export default function activeElement(): ?HTMLElement {
-  return supportsDOM() ? document.activeElement : null;
+export default function activeElement(
+  root?: Document | ShadowRoot
+): ?HTMLElement {
+  if (!supportsDOM()) {
+    return null;
+  }
+  let element = (root || document).activeElement;
+  // The active element of a document is the host of a focused shadow root
+  while (
+    element != null &&
+    element.shadowRoot != null &&
+    element.shadowRoot.activeElement != null
+  ) {
+    element = element.shadowRoot.activeElement;
+  }
+  return element;
 }
@@ -0,0 +1,23 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ */
+
+/**
+ * The target of an event is retargeted to the host of a shadow root once the
+ * event propagates out of the shadow root. The original target is the first
+ * node of the composed path (for open shadow roots).
+ */
+export default function getEventTarget(event: any): any {
+  if (typeof event.composedPath === 'function') {
+    const path = event.composedPath();
+    if (path.length > 0) {
+      return path[0];
+    }
+  }
+  return event.target;
+}
@@ -0,0 +1,68 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ */
+
+// Scripts that are written right-to-left
+const rtlScripts = new Set([
+  'Adlm',
+  'Arab',
+  'Aran',
+  'Hebr',
+  'Mand',
+  'Mend',
+  'Nkoo',
+  'Rohg',
+  'Samr',
+  'Syrc',
+  'Thaa',
+  'Yezi'
+]);
+
+// Languages that are written in a right-to-left script by default
+const rtlLanguages = new Set([
+  'ae',
+  'ar',
+  'arc',
+  'bcc',
+  'bqi',
+  'ckb',
+  'dv',
+  'fa',
+  'glk',
+  'he',
+  'iw',
+  'khw',
+  'ks',
+  'ku',
+  'mzn',
+  'nqo',
+  'pnb',
+  'ps',
+  'sd',
+  'syr',
+  'ug',
+  'ur',
+  'yi'
+]);
+
+/**
+ * Whether a BCP 47 locale (e.g., 'ar-EG', 'az-Arab', 'ku-Latn') is written
+ * right-to-left. An explicit script takes precedence over the language.
+ */
+export default function isLocaleRTL(locale: string): boolean {
+  const subtags = locale.replace(/_/g, '-').split('-');
+  for (let i = 1; i < subtags.length; i += 1) {
+    const subtag = subtags[i];
+    if (subtag.length === 4 && /^[a-zA-Z]+$/.test(subtag)) {
+      const script =
+        subtag.charAt(0).toUpperCase() + subtag.slice(1).toLowerCase();
+      return rtlScripts.has(script);
+    }
+  }
+  return rtlLanguages.has(subtags[0].toLowerCase());
+}
@@ -83,8 +83,9 @@ function onKeyDown(event) {
   }
 }
 
-function onVisibilityChange() {
-  if (document.visibilityState !== 'hidden') {
+function onVisibilityChange(event) {
+  // The target is the document (which may be the document of a frame)
+  if (event.target.visibilityState !== 'hidden') {
     restoreModality();
   }
 }
@@ -156,13 +157,26 @@ function onPointerish(event: any) {
   }
 }
 
-if (supportsDOM()) {
-  addEvent(window, BLUR, onBlurWindow);
-  addEvent(window, FOCUS, onFocusWindow);
+const documents: WeakSet<Document> = new WeakSet();
+
+/**
+ * Listen to the events of a document. Events within shadow roots propagate to
+ * their document, but the documents of frames must be added.
+ */
+export function addModalityDocument(doc: Document): void {
+  if (documents.has(doc)) {
+    return;
+  }
+  documents.add(doc);
+  const win = doc.defaultView;
+  if (win != null) {
+    addEvent(win, BLUR, onBlurWindow);
+    addEvent(win, FOCUS, onFocusWindow);
+  }
   // Must be capture phase because 'stopPropagation' might prevent these
   // events bubbling to the document.
-  addEvent(document, KEYDOWN, onKeyDown, captureOptions);
-  addEvent(document, VISIBILITYCHANGE, onVisibilityChange, captureOptions);
+  addEvent(doc, KEYDOWN, onKeyDown, captureOptions);
+  addEvent(doc, VISIBILITYCHANGE, onVisibilityChange, captureOptions);
   [
     POINTERDOWN,
     POINTERMOVE,
@@ -179,10 +193,14 @@ if (supportsDOM()) {
     TOUCHMOVE,
     TOUCHSTART
   ].forEach((eventType) => {
-    addEvent(document, eventType, onPointerish, captureOptions);
+    addEvent(doc, eventType, onPointerish, captureOptions);
   });
 }
 
+if (supportsDOM()) {
+  addModalityDocument(document);
+}
+
 function callListeners() {
   const value = { activeModality, modality };
   listeners.forEach((listener) => {
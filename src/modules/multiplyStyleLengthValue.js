@@ -20,6 +20,11 @@ const isNumeric = (n: string | number): boolean => {
   return !isNaN(parseFloat(n)) && isFinite(n);
 };
 
+/**
+ * Multiply a length, e.g., to flip an offset for RTL. Numbers remain numbers,
+ * so that they are compiled to the configured unit along with other lengths,
+ * and strings keep their unit, e.g., ('1.5rem', -1) => '-1.5rem'.
+ */
 const multiplyStyleLengthValue = (
   value: StrOrNum,
   multiple: number
@@ -8,14 +8,260 @@
  */
 
 import createPrefixer from 'inline-style-prefixer/lib/createPrefixer';
-import staticData from './prefixStylesData';
+import defaultData from './prefixStylesData';
+import * as support from './prefixStylesSupport';
 
-const prefixAll: (style: Object) => Object = createPrefixer(staticData);
+/**
+ * The browsers to prefix styles for, either as queried by 'browserslist'
+ * (e.g., ['chrome 118', 'ios_saf 16.6-16.7']) or as the minimum version of
+ * each browser (e.g., { chrome: 118, ios_saf: 16.6 }).
+ */
+export type PrefixTargets = Array<string> | { [browser: string]: number };
+
+type Versions = { [browser: string]: number };
+
+export type Prefixer = {|
+  // Identifies the prefixes, e.g., to cache compiled rules
+  key: string,
+  keyframesPrefixes: Array<string>,
+  placeholderSelectors: Array<string>,
+  prefixAll: (style: Object) => Object
+|};
+
+const allKeyframesPrefixes = ['-webkit-', ''];
+const placeholderSelectorsByPrefix = {
+  Webkit: '::-webkit-input-placeholder',
+  Moz: '::-moz-placeholder',
+  ms: ':-ms-input-placeholder'
+};
+
+// Prefixers are shared by the resolvers with the same targets
+const prefixers: { [targets: string]: Prefixer } = {};
+let prefixerCount = 0;
+// The prefixer of the styles that are being compiled
+let currentPrefixer: ?Prefixer = null;
+
+function getPrefix(browser: string, version: number): string {
+  switch (browser) {
+    case 'and_ff':
+    case 'firefox':
+    case 'kaios':
+      return 'Moz';
+    case 'edge':
+      // Edge uses the prefixes of Chrome since version 79
+      return version < 79 ? 'ms' : 'Webkit';
+    case 'ie':
+    case 'ie_mob':
+      return 'ms';
+    default:
+      return 'Webkit';
+  }
+}
+
+/**
+ * The minimum version of each browser, e.g., 'op_mini all' => 0
+ */
+function getMinimumVersions(targets: PrefixTargets): Versions {
+  if (!Array.isArray(targets)) {
+    return targets;
+  }
+  const versions = {};
+  targets.forEach((target) => {
+    const [browser, range] = target.trim().toLowerCase().split(/\s+/);
+    const version = range === 'all' ? 0 : parseFloat(range);
+    if (
+      !isNaN(version) &&
+      (versions[browser] == null || version < versions[browser])
+    ) {
+      versions[browser] = version;
+    }
+  });
+  return versions;
+}
+
+/**
+ * The prefixes required by any of the targets, given the last version of
+ * each browser that requires a prefix.
+ */
+function getRequiredPrefixes(
+  targets: Versions,
+  lastVersions: Versions
+): Array<string> {
+  const prefixes = [];
+  Object.keys(targets).forEach((browser) => {
+    const version = targets[browser];
+    const lastVersion = lastVersions[browser];
+    if (lastVersion != null && version <= lastVersion) {
+      const prefix = getPrefix(browser, version);
+      if (prefixes.indexOf(prefix) === -1) {
+        prefixes.push(prefix);
+      }
+    }
+  });
+  return prefixes;
+}
+
+/**
+ * Create the data of 'inline-style-prefixer' for the targets, i.e., the
+ * prefixes of each property and the plugins required by the targets. Targets
+ * only remove prefixes from the default data.
+ */
+export function createPrefixStylesData(targets: PrefixTargets): Object {
+  const versions = getMinimumVersions(targets);
+  const requiredPrefixMap = {};
+  support.features.forEach(([properties, lastVersions]) => {
+    const prefixes = getRequiredPrefixes(versions, lastVersions);
+    properties.forEach((property) => {
+      const existing = requiredPrefixMap[property] || [];
+      prefixes.forEach((prefix) => {
+        if (existing.indexOf(prefix) === -1) {
+          existing.push(prefix);
+        }
+      });
+      requiredPrefixMap[property] = existing;
+    });
+  });
+  const prefixMap = {};
+  Object.keys(defaultData.prefixMap).forEach((property) => {
+    const requiredPrefixes = requiredPrefixMap[property];
+    if (requiredPrefixes != null) {
+      const prefixes = defaultData.prefixMap[property].filter(
+        (prefix) => requiredPrefixes.indexOf(prefix) > -1
+      );
+      if (prefixes.length > 0) {
+        prefixMap[property] = prefixes;
+      }
+    }
+  });
+  const plugins = support.plugins
+    .filter(
+      ([plugin, lastVersions]) =>
+        defaultData.plugins.indexOf(plugin) > -1 &&
+        getRequiredPrefixes(versions, lastVersions).length > 0
+    )
+    .map(([plugin]) => plugin);
+  return { plugins, prefixMap };
+}
+
+/**
+ * Get the prefixer of the targets, or of no prefixes with 'false'. Styles are
+ * prefixed with the default data (see 'prefixStylesData') if there are no
+ * targets.
+ */
+export function getPrefixer(targets: ?PrefixTargets | false): Prefixer {
+  const versions =
+    targets === false || targets == null ? null : getMinimumVersions(targets);
+  const targetsKey =
+    targets === false
+      ? 'none'
+      : versions == null
+      ? 'default'
+      : JSON.stringify(versions);
+  if (prefixers[targetsKey] != null) {
+    return prefixers[targetsKey];
+  }
+  const key = `p${prefixerCount}`;
+  prefixerCount += 1;
+  let prefixer;
+  if (targets === false) {
+    prefixer = {
+      key,
+      keyframesPrefixes: [''],
+      placeholderSelectors: ['::placeholder'],
+      prefixAll: (style) => style
+    };
+  } else if (versions == null) {
+    prefixer = {
+      key,
+      keyframesPrefixes: allKeyframesPrefixes,
+      placeholderSelectors: [
+        ...Object.keys(placeholderSelectorsByPrefix).map(
+          (prefix) => placeholderSelectorsByPrefix[prefix]
+        ),
+        '::placeholder'
+      ],
+      prefixAll: createPrefixer(defaultData)
+    };
+  } else {
+    const placeholderPrefixes = getRequiredPrefixes(
+      versions,
+      support.placeholder
+    );
+    prefixer = {
+      key,
+      keyframesPrefixes:
+        getRequiredPrefixes(versions, support.keyframes).length > 0
+          ? allKeyframesPrefixes
+          : [''],
+      placeholderSelectors: [
+        ...Object.keys(placeholderSelectorsByPrefix)
+          .filter((prefix) => placeholderPrefixes.indexOf(prefix) > -1)
+          .map((prefix) => placeholderSelectorsByPrefix[prefix]),
+        '::placeholder'
+      ],
+      prefixAll: createPrefixer(createPrefixStylesData(versions))
+    };
+  }
+  prefixers[targetsKey] = prefixer;
+  return prefixer;
+}
+
+function getCurrentPrefixer(): Prefixer {
+  if (currentPrefixer == null) {
+    currentPrefixer = getPrefixer(null);
+  }
+  return currentPrefixer;
+}
+
+/**
+ * Prefix styles for the targets, or disable prefixing with 'false'. This is
+ * the default of every resolver. Must be set before any style is resolved.
+ */
+export function setPrefixTargets(targets: ?PrefixTargets | false): void {
+  currentPrefixer = getPrefixer(targets);
+}
+
+/**
+ * Compile the styles of a resolver with its own prefixer (see
+ * 'createStyleResolver').
+ */
+export function withPrefixer<T>(prefixer: Prefixer, callback: () => T): T {
+  const previousPrefixer = currentPrefixer;
+  currentPrefixer = prefixer;
+  try {
+    return callback();
+  } finally {
+    currentPrefixer = previousPrefixer;
+  }
+}
+
+/**
+ * The key of the current prefixer
+ */
+export function getPrefixerKey(): string {
+  return getCurrentPrefixer().key;
+}
+
+/**
+ * The prefixes of '@keyframes' rules, e.g., ['-webkit-', '']
+ */
+export function getKeyframesPrefixes(): Array<string> {
+  return getCurrentPrefixer().keyframesPrefixes;
+}
+
+/**
+ * The selectors of the placeholder of an input
+ */
+export function getPlaceholderSelectors(): Array<string> {
+  return getCurrentPrefixer().placeholderSelectors;
+}
 
-export default prefixAll;
+export default function prefixStyles(style: Object): Object {
+  return getCurrentPrefixer().prefixAll(style);
+}
 
 export const prefixInlineStyles = (style: Object): Object => {
-  const prefixedStyles = prefixAll(style);
+  const prefixedStyles = getCurrentPrefixer().prefixAll(style);
 
   // React@15 removed undocumented support for fallback values in
   // inline-styles. Revert array values to the standard CSS value
@@ -0,0 +1,545 @@
+/**
+ * Copyright (c) Nicolas Gallagher.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @noflow
+ */
+
+import backgroundClip from 'inline-style-prefixer/lib/plugins/backgroundClip';
+import crossFade from 'inline-style-prefixer/lib/plugins/crossFade';
+import cursor from 'inline-style-prefixer/lib/plugins/cursor';
+import filter from 'inline-style-prefixer/lib/plugins/filter';
+import flexboxOld from 'inline-style-prefixer/lib/plugins/flexboxOld';
+import gradient from 'inline-style-prefixer/lib/plugins/gradient';
+import imageSet from 'inline-style-prefixer/lib/plugins/imageSet';
+import logical from 'inline-style-prefixer/lib/plugins/logical';
+import position from 'inline-style-prefixer/lib/plugins/position';
+import sizing from 'inline-style-prefixer/lib/plugins/sizing';
+import transition from 'inline-style-prefixer/lib/plugins/transition';
+
+/**
+ * The last version of each browser that requires a vendor prefix (see
+ * 'createPrefixStylesData'). Versions of features are generated from
+ * 'caniuse-lite' using the feature map of the 'inline-style-prefixer'
+ * generator, and versions of plugins are those of the generator.
+ *
+ * Generated by 'scripts/generatePrefixStylesSupport.js'. Do not edit.
+ */
+
+// The prefix is still required by the latest version
+const maximumVersion = 9999;
+
+export const features = [
+  // border-radius
+  [
+    ['borderRadius'],
+    { chrome: 4, safari: 4, firefox: 3.6, ios_saf: 3.2, android: 2.1 }
+  ],
+  // border-image
+  [
+    [
+      'borderImage',
+      'borderImageOutset',
+      'borderImageRepeat',
+      'borderImageSlice',
+      'borderImageSource',
+      'borderImageWidth'
+    ],
+    {
+      chrome: 14,
+      safari: 5.1,
+      firefox: 14,
+      opera: 12.1,
+      ios_saf: 5.1,
+      android: 4.3,
+      op_mini: maximumVersion,
+      op_mob: 12.1
+    }
+  ],
+  // flexbox
+  [
+    [
+      'flex',
+      'flexBasis',
+      'flexDirection',
+      'flexGrow',
+      'flexFlow',
+      'flexShrink',
+      'flexWrap',
+      'alignContent',
+      'alignItems',
+      'alignSelf',
+      'justifyContent',
+      'order'
+    ],
+    {
+      chrome: 28,
+      safari: 8,
+      firefox: 21,
+      opera: 16,
+      ie: 10,
+      ios_saf: 8.4,
+      android: 4.3,
+      ie_mob: 10
+    }
+  ],
+  // css-transitions
+  [
+    [
+      'transition',
+      'transitionDelay',
+      'transitionDuration',
+      'transitionProperty',
+      'transitionTimingFunction'
+    ],
+    {
+      chrome: 25,
+      safari: 6,
+      firefox: 15,
+      opera: 12,
+      ios_saf: 6.1,
+      android: 4.3,
+      op_mob: 12
+    }
+  ],
+  // transforms2d
+  [
+    ['transform', 'transformOrigin', 'transformOriginX', 'transformOriginY'],
+    {
+      chrome: 35,
+      safari: 8,
+      firefox: 15,
+      opera: 22,
+      ie: 9,
+      ios_saf: 8.4,
+      android: 4.4
+    }
+  ],
+  // transforms3d
+  [
+    [
+      'backfaceVisibility',
+      'perspective',
+      'perspectiveOrigin',
+      'transform',
+      'transformOrigin',
+      'transformStyle',
+      'transformOriginX',
+      'transformOriginY',
+      'transformOriginZ'
+    ],
+    {
+      chrome: 35,
+      safari: 8,
+      firefox: 15,
+      opera: 22,
+      ios_saf: 8.4,
+      android: 4.4
+    }
+  ],
+  // css-animation
+  [
+    [
+      'animation',
+      'animationDelay',
+      'animationDirection',
+      'animationFillMode',
+      'animationDuration',
+      'animationIterationCount',
+      'animationName',
+      'animationPlayState',
+      'animationTimingFunction'
+    ],
+    {
+      chrome: 42,
+      safari: 8,
+      firefox: 15,
+      opera: 29,
+      ios_saf: 8.4,
+      android: 4.4
+    }
+  ],
+  // css-appearance
+  [
+    ['appearance'],
+    {
+      chrome: 83,
+      safari: 15.3,
+      firefox: 79,
+      opera: 72,
+      edge: 83,
+      ios_saf: 15.3,
+      android: 4.4,
+      kaios: 2.5,
+      samsung: 13
+    }
+  ],
+  // user-select-none
+  [
+    ['userSelect'],
+    {
+      chrome: 53,
+      safari: maximumVersion,
+      firefox: 68,
+      opera: 40,
+      ie: maximumVersion,
+      edge: 18,
+      ios_saf: maximumVersion,
+      android: 4.4,
+      ie_mob: maximumVersion,
+      kaios: 2.5,
+      samsung: 5.4
+    }
+  ],
+  // css-backdrop-filter
+  [['backdropFilter'], { safari: 17.6, ios_saf: 17.7 }],
+  // css3-boxsizing
+  [
+    ['boxSizing'],
+    { chrome: 9, safari: 5, firefox: 28, ios_saf: 4.3, android: 3 }
+  ],
+  // font-kerning
+  [
+    ['fontKerning'],
+    { chrome: 32, safari: 9, opera: 19, ios_saf: 11.4, android: 4.4 }
+  ],
+  // css-exclusions
+  [
+    ['wrapFlow', 'wrapThrough', 'wrapMargin'],
+    { ie: maximumVersion, edge: 18, ie_mob: maximumVersion }
+  ],
+  // css-snappoints
+  [
+    [
+      'scrollSnapType',
+      'scrollSnapPointsX',
+      'scrollSnapPointsY',
+      'scrollSnapDestination',
+      'scrollSnapCoordinate'
+    ],
+    { safari: 10.1, ie: maximumVersion, edge: 18, ios_saf: 10.3 }
+  ],
+  // text-emphasis
+  [
+    [
+      'textEmphasisPosition',
+      'textEmphasis',
+      'textEmphasisStyle',
+      'textEmphasisColor'
+    ],
+    { chrome: 98, safari: 7, opera: 85, edge: 98, android: 4.4, samsung: 17 }
+  ],
+  // css-text-align-last
+  [['textAlignLast'], { firefox: 48, kaios: 2.5 }],
+  // css-boxdecorationbreak
+  [
+    ['boxDecorationBreak'],
+    {
+      chrome: 129,
+      safari: maximumVersion,
+      opera: 115,
+      edge: 129,
+      ios_saf: maximumVersion,
+      android: 4.4,
+      and_uc: maximumVersion,
+      op_mob: maximumVersion,
+      samsung: maximumVersion
+    }
+  ],
+  // css-clip-path
+  [
+    ['clipPath'],
+    {
+      chrome: 54,
+      safari: 13,
+      opera: 41,
+      ios_saf: 12.5,
+      android: 4.4,
+      samsung: 5.4
+    }
+  ],
+  // css-masks
+  [
+    [
+      'maskImage',
+      'maskMode',
+      'maskRepeat',
+      'maskPosition',
+      'maskClip',
+      'maskOrigin',
+      'maskSize',
+      'maskComposite',
+      'mask',
+      'maskBorderSource',
+      'maskBorderMode',
+      'maskBorderSlice',
+      'maskBorderWidth',
+      'maskBorderOutset',
+      'maskBorderRepeat',
+      'maskBorder',
+      'maskType'
+    ],
+    {
+      chrome: 119,
+      safari: 15.3,
+      opera: 105,
+      edge: 119,
+      ios_saf: 15.3,
+      android: 4.4,
+      and_uc: maximumVersion,
+      samsung: 24
+    }
+  ],
+  // css-touch-action
+  [['touchAction'], { ie: 10, ie_mob: 10 }],
+  // text-size-adjust
+  [
+    ['textSizeAdjust'],
+    {
+      edge: 18,
+      ios_saf: maximumVersion,
+      and_ff: maximumVersion,
+      ie_mob: maximumVersion
+    }
+  ],
+  // text-decoration
+  [
+    [
+      'textDecorationStyle',
+      'textDecorationSkip',
+      'textDecorationLine',
+      'textDecorationColor'
+    ],
+    { chrome: 56, safari: 12, firefox: 35, opera: 43, ios_saf: maximumVersion }
+  ],
+  // css-shapes
+  [
+    ['shapeImageThreshold', 'shapeImageMargin', 'shapeImageOutside'],
+    { safari: 10, ios_saf: 10.2 }
+  ],
+  // css3-tabsize
+  [
+    ['tabSize'],
+    {
+      firefox: 90,
+      opera: 12.1,
+      kaios: maximumVersion,
+      op_mini: maximumVersion,
+      op_mob: 12.1
+    }
+  ],
+  // css-filters
+  [
+    ['filter'],
+    {
+      chrome: 52,
+      safari: 9,
+      opera: 39,
+      ios_saf: 9.2,
+      android: 4.4,
+      samsung: 6.4
+    }
+  ],
+  // css-resize
+  [['resize'], { firefox: 4 }],
+  // css-hyphens
+  [
+    ['hyphens'],
+    { safari: 16.6, firefox: 42, ie: maximumVersion, edge: 18, ios_saf: 16.7 }
+  ],
+  // css-regions
+  [
+    [
+      'flowInto',
+      'flowFrom',
+      'breakBefore',
+      'breakAfter',
+      'breakInside',
+      'regionFragment'
+    ],
+    {
+      chrome: 18,
+      safari: 11,
+      ie: maximumVersion,
+      edge: 18,
+      ios_saf: 11.2,
+      ie_mob: maximumVersion
+    }
+  ],
+  // object-fit
+  [
+    ['objectFit', 'objectPosition'],
+    { opera: 12.1, op_mini: maximumVersion, op_mob: 12.1 }
+  ],
+  // text-overflow
+  [['textOverflow'], { opera: 10.6, op_mob: 12 }],
+  // background-img-opts
+  [
+    ['backgroundClip', 'backgroundOrigin', 'backgroundSize'],
+    { firefox: 3.6, opera: 10.1, android: 2.3 }
+  ],
+  // font-feature
+  [
+    ['fontFeatureSettings'],
+    { chrome: 47, firefox: 33, opera: 34, android: 4.4, samsung: 4 }
+  ],
+  // css-boxshadow
+  [
+    ['boxShadow'],
+    { chrome: 9, safari: 5, firefox: 3.6, ios_saf: 4.3, android: 3 }
+  ],
+  // multicolumn
+  [
+    [
+      'breakAfter',
+      'breakBefore',
+      'breakInside',
+      'columnCount',
+      'columnFill',
+      'columnGap',
+      'columnRule',
+      'columnRuleColor',
+      'columnRuleStyle',
+      'columnRuleWidth',
+      'columns',
+      'columnSpan',
+      'columnWidth'
+    ],
+    {
+      chrome: 49,
+      safari: 8,
+      firefox: 51,
+      opera: 36,
+      ios_saf: 8.4,
+      android: 4.4,
+      kaios: maximumVersion,
+      samsung: 4
+    }
+  ],
+  // css-writing-mode
+  [
+    ['writingMode'],
+    {
+      chrome: 47,
+      safari: 10.1,
+      opera: 34,
+      ios_saf: 10.3,
+      android: 4.4,
+      ie_mob: maximumVersion,
+      samsung: 4
+    }
+  ],
+  // css-text-orientation
+  [['textOrientation'], { safari: 13.1 }]
+];
+
+export const plugins = [
+  [
+    backgroundClip,
+    {
+      chrome: 119,
+      safari: 4,
+      opera: 105,
+      edge: 119,
+      android: 4.4,
+      and_uc: maximumVersion,
+      samsung: 24
+    }
+  ],
+  [
+    crossFade,
+    {
+      chrome: maximumVersion,
+      opera: maximumVersion,
+      and_chr: maximumVersion,
+      ios_saf: 10,
+      safari: 10
+    }
+  ],
+  [cursor, { firefox: 24, chrome: 37, safari: 9, opera: 24 }],
+  [filter, { ios_saf: 9.3, safari: 9.1 }],
+  [
+    flexboxOld,
+    { firefox: 22, chrome: 21, safari: 6.2, ios_saf: 6.2, android: 4.4 }
+  ],
+  [
+    gradient,
+    {
+      firefox: 16,
+      chrome: 26,
+      safari: 7,
+      ios_saf: 7,
+      opera: 12.1,
+      op_mini: 12.1,
+      android: 4.4
+    }
+  ],
+  [
+    imageSet,
+    {
+      chrome: maximumVersion,
+      safari: maximumVersion,
+      opera: maximumVersion,
+      and_chr: maximumVersion,
+      ios_saf: maximumVersion
+    }
+  ],
+  [
+    logical,
+    { chrome: 68, safari: 12, opera: 55, and_chr: 66, ios_saf: 12, firefox: 40 }
+  ],
+  [position, { safari: 12.1, ios_saf: 12.4 }],
+  [
+    sizing,
+    {
+      chrome: 46,
+      safari: 10.1,
+      opera: 33,
+      and_chr: 53,
+      ios_saf: maximumVersion
+    }
+  ],
+  [
+    transition,
+    {
+      chrome: maximumVersion,
+      safari: maximumVersion,
+      opera: maximumVersion,
+      and_chr: maximumVersion,
+      and_uc: maximumVersion,
+      ios_saf: maximumVersion,
+      ie: maximumVersion,
+      edge: maximumVersion,
+      firefox: maximumVersion,
+      op_mini: maximumVersion
+    }
+  ]
+];
+
+// '@-webkit-keyframes' (css-animation)
+export const keyframes = {
+  chrome: 42,
+  safari: 8,
+  opera: 29,
+  ios_saf: 8.4,
+  android: 4.4
+};
+
+// '::-webkit-input-placeholder', '::-moz-placeholder', and
+// ':-ms-input-placeholder' (css-placeholder). IE only supports the prefixed
+// pseudo-class, so it is not listed by 'caniuse-lite'.
+export const placeholder = {
+  ie: 11,
+  chrome: 56,
+  safari: 10,
+  firefox: 50,
+  opera: 43,
+  edge: 18,
+  ios_saf: 10.2,
+  android: 4.4,
+  ie_mob: maximumVersion,
+  kaios: 2.5,
+  samsung: 6.4
+};